@@ -9,7 +9,10 @@ module.exports = {
             ALLOWED_ORIGINS: 'https://excel.archtech.be',
             AI_PROVIDER: 'claude',
             AI_API_KEY: '',
-            AI_MODEL: ''
+            AI_KEY_MODE: 'either',
+            AI_MODEL: '',
+            AI_BASE_URL: '',
+            AI_HEADERS: ''
         }
     }]
 };
@@ -0,0 +1,212 @@
+// Retries and provider failover around callAI / streamAI.
+// A failed call is retried on the same provider when the failure is transient
+// (overloaded, rate limited, 5xx, unreachable), with exponential backoff and
+// jitter, or after the provider's retry-after when it sends one. Once a
+// provider's retries are used up, the call moves down the failover chain:
+// the request's own provider config first, then each AI_FAILOVER entry.
+//
+// AI_FAILOVER is a JSON array of provider configs (see providers.js), e.g.
+//   [{ "provider": "openai", "model": "gpt-4o", "apiKeyEnv": "OPENAI_API_KEY" },
+//    { "provider": "ollama", "model": "llama3.1" }]
+// apiKeyEnv names the environment variable holding that entry's key, so keys
+// needn't be written into the JSON itself.
+//
+// A provider that keeps failing (FAILOVER_THRESHOLD calls in a row) is moved
+// to the end of the chain for FAILOVER_COOLDOWN_MS, so requests go straight
+// to the next provider instead of waiting out its retries every time.
+
+const { callAI, streamAI, getAdapter, configError, configFromEntry, effectiveModel } = require('./providers');
+const { outputBudget } = require('./pricing');
+const { log } = require('./log');
+const { trackUpstream } = require('./metrics');
+
+const RETRY_ATTEMPTS       = parseInt(process.env.AI_RETRY_ATTEMPTS, 10) >= 0 ? parseInt(process.env.AI_RETRY_ATTEMPTS, 10) : 2;
+const RETRY_BASE_MS        = parseInt(process.env.AI_RETRY_BASE_MS, 10) || 1000;
+const RETRY_MAX_MS         = parseInt(process.env.AI_RETRY_MAX_MS, 10) || 20000; // longer retry-after: fail over instead
+const FAILOVER_THRESHOLD   = parseInt(process.env.FAILOVER_THRESHOLD, 10) || 3;
+const FAILOVER_COOLDOWN_MS = parseInt(process.env.FAILOVER_COOLDOWN_MS, 10) || 60 * 1000;
+
+// Overloaded (529), rate limited, timeouts and server errors; 502 also covers
+// providerFetch's "could not reach" network failures
+const RETRYABLE_STATUSES = new Set([408, 409, 425, 429, 500, 502, 503, 504, 529]);
+
+function isRetryable(err) {
+    return RETRYABLE_STATUSES.has(err.status);
+}
+
+// Worth trying another provider: transient failures, and keys that provider rejects
+function canFailOver(err) {
+    return isRetryable(err) || err.status === 401 || err.status === 403;
+}
+
+// Parse AI_FAILOVER into provider configs, dropping (and reporting) unusable entries
+function failoverConfigsFromEnv(env) {
+    if (!env.AI_FAILOVER) return [];
+    let entries;
+    try {
+        entries = JSON.parse(env.AI_FAILOVER);
+        if (!Array.isArray(entries)) throw new Error('expected an array');
+    } catch (err) {
+        log.warn('config_ignored', { setting: 'AI_FAILOVER', reason: `not a valid JSON array (${err.message})` });
+        return [];
+    }
+    return entries.map((entry, i) => {
+        const config = configFromEntry(entry, env);
+        const problem = configError(config);
+        if (problem) {
+            log.warn('config_ignored', { setting: 'AI_FAILOVER', entry: i + 1, provider: config.provider, reason: problem });
+            return null;
+        }
+        return config;
+    }).filter(Boolean);
+}
+
+const FAILOVER_CONFIGS = failoverConfigsFromEnv(process.env);
+
+// ── Circuit breaker ───────────────────────────────────────────
+const health = new Map(); // target key → { failures, coolUntil }
+
+function targetKey(config) {
+    return `${config.provider}|${config.baseUrl}|${effectiveModel(config)}`;
+}
+
+function recordOutcome(config, ok) {
+    const key = targetKey(config);
+    const entry = health.get(key) || { failures: 0, coolUntil: 0 };
+    if (ok) {
+        entry.failures = 0;
+        entry.coolUntil = 0;
+    } else if (++entry.failures >= FAILOVER_THRESHOLD) {
+        entry.coolUntil = Date.now() + FAILOVER_COOLDOWN_MS;
+    }
+    health.set(key, entry);
+}
+
+function coolingDown(config) {
+    const entry = health.get(targetKey(config));
+    return !!entry && entry.coolUntil > Date.now();
+}
+
+// Providers to try for a request, in order. A user's own key only works with
+// their provider, so those requests never fail over to the server's keys; nor
+// do requests on a tenant's own provider (isolated).
+// Fallbacks take the request's response contract and output budget, within
+// their own model's output limit.
+function chainFor(config) {
+    const fallbacks = FAILOVER_CONFIGS.map(c => ({
+        ...c,
+        schema: config.schema,
+        maxTokens: config.maxTokens && outputBudget(c.provider, effectiveModel(c), config.maxTokens)
+    }));
+    const chain = config.userKey || config.isolated ? [config] : [config, ...fallbacks];
+    return [...chain.filter(c => !coolingDown(c)), ...chain.filter(c => coolingDown(c))];
+}
+
+function label(config) {
+    return `${getAdapter(config.provider).label} (${effectiveModel(config)})`;
+}
+
+// Wait before retry `attempt` (1-based): the provider's retry-after if it sent
+// one, else exponential backoff with jitter. null means don't wait this long.
+function retryDelay(err, attempt) {
+    if (err.retryAfterMs !== null && err.retryAfterMs !== undefined) {
+        return err.retryAfterMs <= RETRY_MAX_MS ? err.retryAfterMs : null;
+    }
+    const ceiling = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Run `call(config)` down the chain. `onFailure(err, info)` hears about each
+// failed attempt ({ provider, model, attempt, retryInMs, failingOver }), for
+// logging. Resolves to the call's result plus servedBy: { provider, label,
+// model, attempts, failover }, where attempts counts every try, on any provider.
+// The final error carries the same servedBy for the provider that raised it.
+async function runWithFailover(config, call, { signal, onFailure } = {}) {
+    const chain = chainFor(config);
+    const tried = [];
+    let attempts = 0;
+    let lastErr;
+
+    for (let i = 0; i < chain.length; i++) {
+        const target = chain[i];
+        for (let attempt = 1; ; attempt++) {
+            attempts++;
+            const servedBy = () => ({
+                provider: target.provider,
+                label: getAdapter(target.provider).label,
+                model: effectiveModel(target),
+                attempts,
+                failover: target !== config
+            });
+            try {
+                const result = await trackUpstream(target, () => call(target));
+                recordOutcome(target, true);
+                return { ...result, servedBy: servedBy() };
+            } catch (err) {
+                err.servedBy = servedBy();
+                if ((signal && signal.aborted) || err.name === 'AbortError' || err.partial) throw err;
+                lastErr = err;
+                const retryInMs = isRetryable(err) && attempt <= RETRY_ATTEMPTS ? retryDelay(err, attempt) : null;
+                const failingOver = retryInMs === null && canFailOver(err) && i < chain.length - 1;
+                if (onFailure) {
+                    onFailure(err, { provider: target.provider, model: effectiveModel(target), attempt, retryInMs, failingOver });
+                }
+                if (retryInMs === null) {
+                    tried.push(`${label(target)} ×${attempt}`);
+                    break;
+                }
+                await sleep(retryInMs, signal);
+            }
+        }
+        if (!canFailOver(lastErr)) break;
+        recordOutcome(target, false);
+    }
+
+    if (attempts > 1) lastErr.message = `${lastErr.message} (tried ${tried.join(', then ')})`;
+    throw lastErr;
+}
+
+// callAI with retries and failover
+function callWithFailover(config, input, signal, onFailure) {
+    return runWithFailover(config, target => callAI(target, input, signal), { signal, onFailure });
+}
+
+// streamAI with retries and failover. Once text has reached the client a
+// failure is final: retrying would send the response twice.
+function streamWithFailover(config, input, signal, onText, onFailure) {
+    return runWithFailover(config, async target => {
+        let streamed = false;
+        try {
+            return await streamAI(target, input, signal, text => {
+                streamed = true;
+                onText(text);
+            });
+        } catch (err) {
+            err.partial = streamed;
+            throw err;
+        }
+    }, { signal, onFailure });
+}
+
+module.exports = {
+    callWithFailover,
+    streamWithFailover,
+    FAILOVER_CONFIGS,
+    RETRY_ATTEMPTS,
+    label
+};
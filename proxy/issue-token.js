@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+// Issue an access token for a tenant in the tenants file (see tenants.js).
+// Usage: node issue-token.js <tenant> [--user <name>] [--days <n>]
+// Reads TENANTS_FILE from ../.env or environment variables. The token is valid
+// until it expires (--days; default: no expiry) or the tenant's secret changes.
+
+const fs = require('fs');
+const path = require('path');
+
+// Load .env file from project root
+const envPath = path.join(__dirname, '..', '.env');
+if (fs.existsSync(envPath)) {
+    for (const line of fs.readFileSync(envPath, 'utf8').split('\n')) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) continue;
+        const eq = trimmed.indexOf('=');
+        if (eq === -1) continue;
+        const key = trimmed.slice(0, eq).trim();
+        const val = trimmed.slice(eq + 1).trim();
+        if (!process.env[key]) process.env[key] = val;
+    }
+}
+
+const { issueToken, TENANTS_FILE } = require('./tenants');
+
+function usage(message) {
+    if (message) console.error(`Error: ${message}`);
+    console.error('Usage: node issue-token.js <tenant> [--user <name>] [--days <n>]');
+    process.exit(1);
+}
+
+const args = process.argv.slice(2);
+const tenantId = args.shift();
+if (!tenantId || tenantId.startsWith('--')) usage('no tenant given.');
+
+const options = { user: '', days: 0 };
+while (args.length) {
+    const flag = args.shift();
+    const value = args.shift();
+    if (value === undefined) usage(`${flag} needs a value.`);
+    if (flag === '--user') options.user = value;
+    else if (flag === '--days') options.days = parseInt(value, 10);
+    else usage(`unknown option ${flag}.`);
+}
+if (!(options.days >= 0)) usage('--days must be a whole number.');
+
+if (!TENANTS_FILE) usage('TENANTS_FILE is not set. Configure it in ../.env or as an environment variable.');
+
+let tenants;
+try {
+    tenants = JSON.parse(fs.readFileSync(TENANTS_FILE, 'utf8')).tenants || {};
+} catch (err) {
+    console.error(`Error: ${TENANTS_FILE} could not be read: ${err.message}`);
+    process.exit(1);
+}
+const tenant = tenants[tenantId];
+if (!tenant || typeof tenant.secret !== 'string') {
+    console.error(`Error: no tenant "${tenantId}" with a secret in ${TENANTS_FILE}. Tenants: ${Object.keys(tenants).join(', ') || 'none'}`);
+    process.exit(1);
+}
+
+const expiry = options.days ? `expires in ${options.days} day(s)` : 'does not expire';
+console.error(`Token for tenant "${tenantId}"${options.user ? `, user "${options.user}"` : ''} (${expiry}):`);
+console.log(issueToken(tenantId, tenant.secret, options));
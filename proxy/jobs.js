@@ -0,0 +1,115 @@
+// In-memory store for asynchronous AI jobs.
+// A job runs in the background so the request that created it can return
+// immediately; the client then polls for the result instead of holding one
+// connection open past nginx's proxy_read_timeout.
+
+const crypto = require('crypto');
+
+const JOB_TTL_MS     = parseInt(process.env.JOB_TTL_MS, 10)     || 10 * 60 * 1000; // keep finished jobs this long
+const JOB_TIMEOUT_MS = parseInt(process.env.JOB_TIMEOUT_MS, 10) || 5 * 60 * 1000;  // abort upstream after this long
+const MAX_JOBS       = parseInt(process.env.MAX_JOBS, 10)       || 200;
+
+const jobs = new Map();
+
+// Start a job. `run` receives an AbortSignal and resolves to { content, ...details }:
+// the job content plus details reported with it (token usage, serving provider).
+// With an `owner`, only the same owner can see or cancel the job; `requestId`
+// is the id of the request that started it, reported with the job for logs.
+function createJob(run, { owner = null, requestId = null } = {}) {
+    if (jobs.size >= MAX_JOBS) {
+        const err = new Error('Too many jobs in progress. Please try again shortly.');
+        err.status = 503;
+        throw err;
+    }
+
+    const job = {
+        id: crypto.randomUUID(),
+        owner,
+        requestId,
+        state: 'running',
+        createdAt: Date.now(),
+        finishedAt: null,
+        content: null,
+        details: null,
+        error: null,
+        errorStatus: null,
+        errorCode: null,
+        timedOut: false,
+        controller: new AbortController()
+    };
+    jobs.set(job.id, job);
+
+    const timeoutId = setTimeout(() => {
+        job.timedOut = true;
+        job.controller.abort();
+    }, JOB_TIMEOUT_MS);
+
+    Promise.resolve()
+        .then(() => run(job.controller.signal))
+        .then(({ content, ...details }) => {
+            if (job.state !== 'running') return;
+            job.state = 'succeeded';
+            job.content = content;
+            job.details = details;
+            job.finishedAt = Date.now();
+        })
+        .catch(err => {
+            if (job.state !== 'running') return;
+            job.state = 'failed';
+            job.finishedAt = Date.now();
+            if (job.timedOut) {
+                job.error = `AI request timed out after ${Math.round(JOB_TIMEOUT_MS / 1000)}s.`;
+                job.errorStatus = 504;
+            } else {
+                job.error = err.message;
+                job.errorStatus = err.status || 500;
+                job.errorCode = err.code || null;
+            }
+        })
+        .finally(() => clearTimeout(timeoutId));
+
+    return job;
+}
+
+function getJob(id, owner = null) {
+    const job = jobs.get(id);
+    return job && (!job.owner || job.owner === owner) ? job : null;
+}
+
+// Cancel a running job and abort its upstream request. Finished jobs are left as-is.
+function cancelJob(id, owner = null) {
+    const job = getJob(id, owner);
+    if (!job) return null;
+    if (job.state === 'running') {
+        job.state = 'cancelled';
+        job.finishedAt = Date.now();
+        job.controller.abort();
+    }
+    return job;
+}
+
+// Public view of a job — never includes the prompt
+function describeJob(job) {
+    const view = {
+        jobId: job.id,
+        state: job.state,
+        requestId: job.requestId,
+        elapsedMs: (job.finishedAt || Date.now()) - job.createdAt
+    };
+    if (job.state === 'succeeded') {
+        view.content = job.content;
+        Object.assign(view, job.details);
+    }
+    return view;
+}
+
+// Drop finished jobs once their TTL has passed
+const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+        if (job.finishedAt && now - job.finishedAt > JOB_TTL_MS) jobs.delete(id);
+    }
+}, 60 * 1000);
+sweeper.unref();
+
+module.exports = { createJob, getJob, cancelJob, describeJob, JOB_TTL_MS, JOB_TIMEOUT_MS };
@@ -2,7 +2,8 @@
 
 // List available models for the configured AI provider.
 // Usage: node list-models.js
-// Reads AI_PROVIDER and AI_API_KEY from ../.env or environment variables.
+// Reads AI_PROVIDER, AI_API_KEY, AI_BASE_URL and AI_HEADERS from ../.env or environment variables.
+// Models clients may pick (AI_ALLOWED_MODELS, plus the default) are marked [allowed].
 
 const fs = require('fs');
 const path = require('path');
@@ -21,67 +22,43 @@ if (fs.existsSync(envPath)) {
     }
 }
 
-const provider = process.env.AI_PROVIDER || 'claude';
-const apiKey = process.env.AI_API_KEY || '';
+const { listModels, configError, configFromEnv, getAdapter } = require('./providers');
+const { createModelCatalog } = require('./models');
 
-if (!apiKey) {
-    console.error('Error: AI_API_KEY is not set. Add it to ../.env or set it as an environment variable.');
+const config = configFromEnv(process.env);
+const misconfigured = configError(config);
+
+// The model setting is not needed to list models
+if (misconfigured && !misconfigured.startsWith('AI_MODEL')) {
+    console.error(`Error: ${misconfigured}`);
+    console.error('Configure it in ../.env or as an environment variable.');
     process.exit(1);
 }
 
-async function listModels() {
-    let url, headers;
+async function main() {
+    const adapter = getAdapter(config.provider);
 
-    if (provider === 'claude') {
-        url = 'https://api.anthropic.com/v1/models?limit=100';
-        headers = {
-            'x-api-key': apiKey,
-            'anthropic-version': '2023-06-01'
-        };
-    } else if (provider === 'openai') {
-        url = 'https://api.openai.com/v1/models';
-        headers = {
-            'Authorization': `Bearer ${apiKey}`
-        };
-    } else {
-        console.error(`Unsupported provider: ${provider}`);
-        process.exit(1);
-    }
-
-    console.log(`Provider: ${provider}`);
+    console.log(`Provider: ${config.provider} (${adapter.label})`);
     console.log(`Fetching models...\n`);
 
-    const response = await fetch(url, { headers });
-
-    if (!response.ok) {
-        const body = await response.text();
-        console.error(`API error (${response.status}): ${body}`);
-        process.exit(1);
-    }
-
-    const data = await response.json();
-
     let models;
-    if (provider === 'claude') {
-        models = data.data.map(m => ({ id: m.id, name: m.display_name || m.id, created: m.created_at }));
-        models.sort((a, b) => b.created.localeCompare(a.created));
-    } else {
-        models = data.data.map(m => ({ id: m.id, created: new Date(m.created * 1000).toISOString().slice(0, 10) }));
-        models.sort((a, b) => b.created.localeCompare(a.created));
+    try {
+        models = await listModels(config);
+    } catch (err) {
+        console.error(`API error (${err.status || 'network'}): ${err.message}`);
+        process.exit(1);
     }
 
     console.log(`Found ${models.length} models:\n`);
 
+    const catalog = createModelCatalog(config);
     for (const m of models) {
-        if (provider === 'claude') {
-            console.log(`  ${m.id}  (${m.name})`);
-        } else {
-            console.log(`  ${m.id}  (${m.created})`);
-        }
+        const allowed = catalog.isAllowed(m.id) ? '  [allowed]' : '';
+        console.log(`  ${m.id}  (${m.name !== m.id ? m.name : m.created || 'no date'})${allowed}`);
     }
 }
 
-listModels().catch(err => {
+main().catch(err => {
     console.error('Failed:', err.message);
     process.exit(1);
 });
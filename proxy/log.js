@@ -0,0 +1,26 @@
+// Structured logging: one JSON object per line, { time, level, event, ...fields },
+// on stdout (warnings and errors on stderr) for PM2 or docker to collect.
+// Request-scoped entries carry the requestId echoed to the client in the
+// X-Request-Id header, so a user's error can be found in the logs.
+// Callers pass metadata only: never prompt content, AI output or API keys, and
+// upstream error messages are redacted (redactKey in server.js) before logging.
+//
+// LOG_LEVEL (debug, info, warn, error; default info) drops entries below it.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+function write(level, event, fields) {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+    const line = JSON.stringify({ time: new Date().toISOString(), level, event, ...fields });
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+const log = {
+    debug: (event, fields = {}) => write('debug', event, fields),
+    info: (event, fields = {}) => write('info', event, fields),
+    warn: (event, fields = {}) => write('warn', event, fields),
+    error: (event, fields = {}) => write('error', event, fields)
+};
+
+module.exports = { log, LOG_LEVEL };
@@ -0,0 +1,147 @@
+// Prometheus metrics, served as text by GET /metrics (see server.js).
+//   proxy_http_requests_total               {route, method, status}
+//   proxy_http_request_duration_seconds     {route, method, status}   histogram
+//   proxy_http_requests_in_flight
+//   proxy_upstream_requests_total           {provider, model, status}
+//   proxy_upstream_request_duration_seconds {provider, model, status} histogram
+//   proxy_upstream_requests_in_flight       {provider}
+//   proxy_rate_limited_total                {route, limit}
+// Upstream metrics count every attempt, retries and failovers included. Their
+// status is the provider's HTTP status, "ok", or the failure code for responses
+// the proxy refused (output_truncated, invalid_output, refused) and "aborted".
+// Routes are patterns (/api/jobs/:id), so series don't grow with job ids.
+
+const { effectiveModel } = require('./providers');
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+
+// ── Registry ──────────────────────────────────────────────────
+const metrics = [];
+
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] === undefined ? '' : labels[name])));
+}
+
+function formatLabels(labelNames, values, extra = '') {
+    const pairs = labelNames.map((name, i) => `${name}="${values[i].replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function register(type, name, help, labelNames) {
+    const metric = { type, name, help, labelNames, series: new Map() };
+    metrics.push(metric);
+    return metric;
+}
+
+function counter(name, help, labelNames = []) {
+    const metric = register('counter', name, help, labelNames);
+    return {
+        inc(labels = {}, by = 1) {
+            const key = labelKey(labelNames, labels);
+            metric.series.set(key, (metric.series.get(key) || 0) + by);
+        }
+    };
+}
+
+function gauge(name, help, labelNames = []) {
+    const metric = register('gauge', name, help, labelNames);
+    const add = (labels, by) => {
+        const key = labelKey(labelNames, labels);
+        metric.series.set(key, (metric.series.get(key) || 0) + by);
+    };
+    return {
+        inc: (labels = {}) => add(labels, 1),
+        dec: (labels = {}) => add(labels, -1)
+    };
+}
+
+function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    const metric = register('histogram', name, help, labelNames);
+    metric.buckets = buckets;
+    return {
+        observe(labels, value) {
+            const key = labelKey(labelNames, labels);
+            let entry = metric.series.get(key);
+            if (!entry) {
+                entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+                metric.series.set(key, entry);
+            }
+            buckets.forEach((bound, i) => {
+                if (value <= bound) entry.counts[i]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        }
+    };
+}
+
+// Every metric in the Prometheus text exposition format
+function renderMetrics() {
+    const lines = [];
+    metrics.forEach(({ type, name, help, labelNames, series, buckets }) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        if (!series.size && !labelNames.length) series.set(labelKey([], {}), 0);
+        series.forEach((value, key) => {
+            const values = JSON.parse(key);
+            if (type !== 'histogram') {
+                lines.push(`${name}${formatLabels(labelNames, values)} ${value}`);
+                return;
+            }
+            buckets.forEach((bound, i) => {
+                lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${value.counts[i]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${value.count}`);
+            lines.push(`${name}_sum${formatLabels(labelNames, values)} ${value.sum}`);
+            lines.push(`${name}_count${formatLabels(labelNames, values)} ${value.count}`);
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+// ── Proxy metrics ─────────────────────────────────────────────
+const httpRequests = counter('proxy_http_requests_total', 'HTTP requests handled, by route, method and status.', ['route', 'method', 'status']);
+const httpDuration = histogram('proxy_http_request_duration_seconds', 'Time to answer HTTP requests (to the end of the stream for streamed responses).', ['route', 'method', 'status']);
+const httpInFlight = gauge('proxy_http_requests_in_flight', 'HTTP requests being handled.');
+const upstreamRequests = counter('proxy_upstream_requests_total', 'AI provider calls, retries and failovers included, by provider, model and upstream status.', ['provider', 'model', 'status']);
+const upstreamDuration = histogram('proxy_upstream_request_duration_seconds', 'AI provider call latency, by provider, model and upstream status.', ['provider', 'model', 'status']);
+const upstreamInFlight = gauge('proxy_upstream_requests_in_flight', 'AI provider calls in progress, including those of background jobs.', ['provider']);
+const rateLimited = counter('proxy_rate_limited_total', 'Requests refused by a rate limit or daily token cap, by route and limit.', ['route', 'limit']);
+
+// Record one finished HTTP request
+function observeRequest({ route, method, status, seconds }) {
+    const labels = { route, method, status };
+    httpRequests.inc(labels);
+    httpDuration.observe(labels, seconds);
+}
+
+function upstreamStatus(err) {
+    if (err.name === 'AbortError') return 'aborted';
+    return err.code || String(err.status || 500);
+}
+
+// Run one AI provider call (`call()`, for `config`'s provider and model) and
+// record its outcome
+async function trackUpstream(config, call) {
+    const provider = config.provider;
+    const model = effectiveModel(config);
+    const started = process.hrtime.bigint();
+    const record = (status) => {
+        const labels = { provider, model, status };
+        upstreamRequests.inc(labels);
+        upstreamDuration.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+    };
+    upstreamInFlight.inc({ provider });
+    try {
+        const result = await call();
+        record('ok');
+        return result;
+    } catch (err) {
+        record(upstreamStatus(err));
+        throw err;
+    } finally {
+        upstreamInFlight.dec({ provider });
+    }
+}
+
+module.exports = { renderMetrics, observeRequest, trackUpstream, httpInFlight, rateLimited };
@@ -0,0 +1,98 @@
+// Which models clients may request, and the live model list behind GET /api/models.
+// AI_ALLOWED_MODELS is a comma-separated allow-list; an entry ending in * matches
+// by prefix (e.g. claude-haiku-4-5*). The server's default model is always allowed.
+// Without an allow-list, clients can only use the default model.
+
+const { listModels, effectiveModel } = require('./providers');
+const { modelInfo } = require('./pricing');
+
+const MODELS_CACHE_MS = parseInt(process.env.MODELS_CACHE_MS, 10) || 10 * 60 * 1000;
+
+function parseAllowList(value) {
+    return (value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function matchesEntry(model, entry) {
+    return entry.endsWith('*') ? model.startsWith(entry.slice(0, -1)) : model === entry;
+}
+
+function createModelCatalog(config, env = process.env) {
+    const allowList = parseAllowList(env.AI_ALLOWED_MODELS);
+    const defaultModel = effectiveModel(config);
+    let cache = null; // { at, models }
+    let pending = null;
+
+    function isAllowed(model) {
+        return model === defaultModel || allowList.some(entry => matchesEntry(model, entry));
+    }
+
+    // The model a request should use: the requested one if allowed, else the default
+    function resolveModel(requested) {
+        if (requested === undefined || requested === null || requested === '') return defaultModel;
+        if (typeof requested !== 'string' || !isAllowed(requested)) {
+            const err = new Error(`Model "${requested}" is not allowed on this server. Allowed: ${describeAllowed()}.`);
+            err.status = 400;
+            throw err;
+        }
+        return requested;
+    }
+
+    function describeAllowed() {
+        return [defaultModel, ...allowList.filter(entry => entry !== defaultModel)].join(', ');
+    }
+
+    // Live list from the provider, cached; concurrent callers share one fetch
+    async function fetchListed() {
+        if (cache && Date.now() - cache.at < MODELS_CACHE_MS) return cache.models;
+        if (!pending) {
+            pending = listModels(config)
+                .then(models => {
+                    cache = { at: Date.now(), models };
+                    return models;
+                })
+                .finally(() => { pending = null; });
+        }
+        return pending;
+    }
+
+    function describe(id, name, listed) {
+        const info = modelInfo(config.provider, id, env);
+        return { id, name: name || id, listed, contextTokens: info.contextTokens, outputTokenLimit: info.outputTokenLimit, pricing: info.pricing };
+    }
+
+    // Allowed models the provider reports, default first. If the provider can't
+    // list models (or doesn't list deployments, like Azure), the exact allow-list
+    // entries are returned unverified, with listed: false.
+    async function allowedModels() {
+        let listed = null;
+        let listError = null;
+        try {
+            listed = await fetchListed();
+        } catch (err) {
+            listError = err.message;
+        }
+
+        const models = [];
+        const seen = new Set();
+        const add = (id, name, wasListed) => {
+            if (!id || seen.has(id)) return;
+            seen.add(id);
+            models.push(describe(id, name, wasListed));
+        };
+
+        const listedDefault = listed && listed.find(m => m.id === defaultModel);
+        add(defaultModel, listedDefault && listedDefault.name, !!listedDefault);
+        if (listed) {
+            listed.filter(m => isAllowed(m.id)).forEach(m => add(m.id, m.name, true));
+        }
+        allowList.filter(entry => !entry.endsWith('*')).forEach(entry => {
+            if (!listed || !listed.some(m => m.id === entry)) add(entry, null, false);
+        });
+
+        return { defaultModel, models, listError };
+    }
+
+    return { resolveModel, isAllowed, allowedModels, allowList, defaultModel };
+}
+
+module.exports = { createModelCatalog, parseAllowList, matchesEntry, MODELS_CACHE_MS };
@@ -0,0 +1,102 @@
+// Context window, output limit and list price per model.
+// The task pane uses these to size prompts and estimate cost before sending;
+// the proxy caps each request's output budget at the model's output limit.
+// Prices are USD per million tokens. Entries are matched by model id prefix,
+// most specific first. AI_PRICE_TABLE names a JSON file of extra entries in the
+// same shape ([{ "prefix", "input", "output", "contextTokens", "outputLimit" }]),
+// checked before the built-in ones, e.g. for negotiated prices or Azure
+// deployment names. AI_CONTEXT_TOKENS, AI_MAX_OUTPUT_TOKENS, AI_PRICE_INPUT and
+// AI_PRICE_OUTPUT override both tables.
+
+const fs = require('fs');
+const { log } = require('./log');
+
+const BUILT_IN_TABLE = [
+    // Anthropic
+    { prefix: 'claude-opus-4-5',    contextTokens: 200000, input: 5,    output: 25,    outputLimit: 64000 },
+    { prefix: 'claude-opus-4',      contextTokens: 200000, input: 15,   output: 75,    outputLimit: 32000 },
+    { prefix: 'claude-sonnet-4',    contextTokens: 200000, input: 3,    output: 15,    outputLimit: 64000 },
+    { prefix: 'claude-haiku-4-5',   contextTokens: 200000, input: 1,    output: 5,     outputLimit: 64000 },
+    { prefix: 'claude-3-7-sonnet',  contextTokens: 200000, input: 3,    output: 15,    outputLimit: 64000 },
+    { prefix: 'claude-3-5-sonnet',  contextTokens: 200000, input: 3,    output: 15,    outputLimit: 8192 },
+    { prefix: 'claude-3-5-haiku',   contextTokens: 200000, input: 0.8,  output: 4,     outputLimit: 8192 },
+    { prefix: 'claude-3-opus',      contextTokens: 200000, input: 15,   output: 75,    outputLimit: 4096 },
+    { prefix: 'claude-3-haiku',     contextTokens: 200000, input: 0.25, output: 1.25,  outputLimit: 4096 },
+    // OpenAI
+    { prefix: 'gpt-5-nano',         contextTokens: 400000, input: 0.05, output: 0.4,   outputLimit: 128000 },
+    { prefix: 'gpt-5-mini',         contextTokens: 400000, input: 0.25, output: 2,     outputLimit: 128000 },
+    { prefix: 'gpt-5',              contextTokens: 400000, input: 1.25, output: 10,    outputLimit: 128000 },
+    { prefix: 'gpt-4.1-nano',       contextTokens: 1047576, input: 0.1, output: 0.4,   outputLimit: 32768 },
+    { prefix: 'gpt-4.1-mini',       contextTokens: 1047576, input: 0.4, output: 1.6,   outputLimit: 32768 },
+    { prefix: 'gpt-4.1',            contextTokens: 1047576, input: 2,   output: 8,     outputLimit: 32768 },
+    { prefix: 'gpt-4o-mini',        contextTokens: 128000, input: 0.15, output: 0.6,   outputLimit: 16384 },
+    { prefix: 'gpt-4o',             contextTokens: 128000, input: 2.5,  output: 10,    outputLimit: 16384 },
+    { prefix: 'o4-mini',            contextTokens: 200000, input: 1.1,  output: 4.4,   outputLimit: 100000 },
+    { prefix: 'o3',                 contextTokens: 200000, input: 2,    output: 8,     outputLimit: 100000 }
+];
+
+// Entries from AI_PRICE_TABLE; a broken file is reported and ignored
+function loadPriceTable(file) {
+    if (!file) return [];
+    try {
+        const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!Array.isArray(entries)) throw new Error('expected an array of entries');
+        const valid = entries.filter(e => e && typeof e.prefix === 'string' && e.prefix &&
+            Number.isFinite(e.input) && Number.isFinite(e.output));
+        if (valid.length < entries.length) {
+            log.warn('config_ignored', { setting: 'AI_PRICE_TABLE', entries: entries.length - valid.length, reason: 'entries need a prefix, input and output' });
+        }
+        // Longest prefix first, so the table needn't be ordered by hand
+        return valid.sort((a, b) => b.prefix.length - a.prefix.length);
+    } catch (err) {
+        log.warn('config_ignored', { setting: 'AI_PRICE_TABLE', file, reason: err.message });
+        return [];
+    }
+}
+
+const MODEL_TABLE = [...loadPriceTable(process.env.AI_PRICE_TABLE), ...BUILT_IN_TABLE];
+
+// Self-hosted models cost nothing per token, but often run with small contexts
+const LOCAL_PROVIDERS = new Set(['ollama', 'openai-compatible']);
+const DEFAULT_CONTEXT_TOKENS = 128000;
+const LOCAL_CONTEXT_TOKENS = 32768;
+const DEFAULT_OUTPUT_LIMIT = 16384;
+
+// { contextTokens, outputTokenLimit, pricing: { input, output } | null } — pricing is null when unknown
+function modelInfo(provider, model, env = process.env) {
+    const entry = MODEL_TABLE.find(m => (model || '').startsWith(m.prefix));
+    const local = LOCAL_PROVIDERS.has(provider);
+
+    let pricing = null;
+    if (env.AI_PRICE_INPUT || env.AI_PRICE_OUTPUT) {
+        pricing = { input: parseFloat(env.AI_PRICE_INPUT) || 0, output: parseFloat(env.AI_PRICE_OUTPUT) || 0 };
+    } else if (entry) {
+        pricing = { input: entry.input, output: entry.output };
+    } else if (local) {
+        pricing = { input: 0, output: 0 };
+    }
+
+    return {
+        contextTokens: parseInt(env.AI_CONTEXT_TOKENS, 10)
+            || (entry && entry.contextTokens)
+            || (local ? LOCAL_CONTEXT_TOKENS : DEFAULT_CONTEXT_TOKENS),
+        outputTokenLimit: parseInt(env.AI_MAX_OUTPUT_TOKENS, 10)
+            || (entry && entry.outputLimit)
+            || DEFAULT_OUTPUT_LIMIT,
+        pricing
+    };
+}
+
+// USD cost of { inputTokens, outputTokens } on a model, or null when its price is unknown
+function costOf(provider, model, usage, env = process.env) {
+    const { pricing } = modelInfo(provider, model, env);
+    if (!pricing || !usage) return null;
+    return (usage.inputTokens * pricing.input + usage.outputTokens * pricing.output) / 1e6;
+}
+
+// Output token budget for a request: what it asked for, within the model's limit
+function outputBudget(provider, model, requested, env = process.env) {
+    return Math.min(requested, modelInfo(provider, model, env).outputTokenLimit);
+}
+
+module.exports = { modelInfo, costOf, outputBudget };
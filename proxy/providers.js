@@ -0,0 +1,524 @@
+// AI provider adapters.
+// Each adapter knows how to build a chat request for its API, pull the text
+// and token usage out of a response (buffered or streamed), list models and
+// turn an error body into a message. server.js and list-models.js only talk
+// to this module.
+//
+// A provider config is { provider, apiKey, model, baseUrl, headers }:
+//   baseUrl — overrides the adapter's default endpoint (required for some)
+//   headers — extra HTTP headers sent with every request
+// Per request, it may also carry:
+//   maxTokens — output token budget (default MAX_OUTPUT_TOKENS)
+//   schema    — a response contract from schemas.js; the output is requested in
+//               that shape and validated, and the content returned is its JSON
+
+const { parseStructured } = require('./schemas');
+const { log } = require('./log');
+
+const JSON_SYSTEM_PROMPT = 'You are a JSON-only responder. Output raw JSON with no markdown fences, no commentary, and no extra text. Your entire response must be a single valid JSON object.';
+const MAX_OUTPUT_TOKENS = 16384;
+
+// For servers without structured output, the contract goes in the system prompt
+function systemPromptFor(config) {
+    if (!config.schema) return JSON_SYSTEM_PROMPT;
+    return `${JSON_SYSTEM_PROMPT} It must conform to this JSON Schema:\n${JSON.stringify(config.schema.schema)}`;
+}
+
+const adapters = new Map();
+
+function registerAdapter(adapter) {
+    adapters.set(adapter.name, adapter);
+}
+
+function getAdapter(name) {
+    const adapter = adapters.get(name);
+    if (!adapter) {
+        const err = new Error(`Unsupported provider: ${name}. Available: ${[...adapters.keys()].join(', ')}`);
+        err.status = 400;
+        throw err;
+    }
+    return adapter;
+}
+
+function listAdapters() {
+    return [...adapters.values()];
+}
+
+// Returns a message describing why the config cannot be used, or null if it can
+function configError(config) {
+    const adapter = adapters.get(config.provider);
+    if (!adapter) return `Unsupported provider: ${config.provider}.`;
+    if (adapter.requiresKey && !config.apiKey) return 'AI_API_KEY is not configured on the server.';
+    if (!config.baseUrl && !adapter.defaultBaseUrl) return `AI_BASE_URL is required for provider "${adapter.name}".`;
+    if (!config.model && !adapter.defaultModel) return `AI_MODEL is required for provider "${adapter.name}".`;
+    return null;
+}
+
+function baseUrlFor(adapter, config) {
+    return (config.baseUrl || adapter.defaultBaseUrl).replace(/\/+$/, '');
+}
+
+function modelFor(adapter, config) {
+    return config.model || adapter.defaultModel;
+}
+
+function maxTokensFor(config) {
+    return config.maxTokens || MAX_OUTPUT_TOKENS;
+}
+
+// The model a config will actually use, after adapter defaults
+function effectiveModel(config) {
+    const adapter = adapters.get(config.provider);
+    return adapter ? modelFor(adapter, config) : config.model;
+}
+
+// Default error body parsing: { error: { message } }, { error: "..." } or raw text
+function defaultErrorMessage(bodyText) {
+    try {
+        const parsed = JSON.parse(bodyText);
+        return parsed.error?.message || parsed.error || parsed.message || bodyText;
+    } catch {
+        return bodyText;
+    }
+}
+
+// ── Anthropic ─────────────────────────────────────────────────
+registerAdapter({
+    name: 'claude',
+    label: 'Anthropic',
+    defaultBaseUrl: 'https://api.anthropic.com',
+    defaultModel: 'claude-sonnet-4-20250514',
+    requiresKey: true,
+
+    headers(config) {
+        return {
+            'x-api-key': config.apiKey,
+            'anthropic-version': '2023-06-01'
+        };
+    },
+
+    // A contract becomes a single tool the model is made to call; its input is the result
+    buildRequest(config, messages, stream) {
+        const contract = config.schema;
+        return {
+            url: `${baseUrlFor(this, config)}/v1/messages`,
+            body: {
+                model: modelFor(this, config),
+                max_tokens: maxTokensFor(config),
+                ...(contract ? {
+                    tools: [{ name: contract.name, description: contract.description, input_schema: contract.schema }],
+                    tool_choice: { type: 'tool', name: contract.name }
+                } : { system: JSON_SYSTEM_PROMPT }),
+                messages,
+                ...(stream && { stream: true })
+            }
+        };
+    },
+
+    parseResponse(data) {
+        return data.content.map(block => {
+            if (block.type === 'tool_use') return JSON.stringify(block.input);
+            return block.type === 'text' ? block.text : '';
+        }).join('');
+    },
+
+    isTruncated(data) {
+        return data.stop_reason === 'max_tokens' ||
+            (data.type === 'message_delta' && data.delta?.stop_reason === 'max_tokens');
+    },
+
+    // Cached prompt tokens are reported separately but still count as input
+    parseUsage(data) {
+        const u = data.usage;
+        if (!u) return null;
+        return {
+            inputTokens: (u.input_tokens || 0) + (u.cache_creation_input_tokens || 0) + (u.cache_read_input_tokens || 0),
+            outputTokens: u.output_tokens
+        };
+    },
+
+    parseStreamEvent(data) {
+        if (data.type === 'error') {
+            const err = new Error(data.error?.message || 'Upstream stream error');
+            err.status = data.error?.type === 'overloaded_error' ? 529 : 502;
+            throw err;
+        }
+        if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+            return data.delta.text;
+        }
+        // Tool input (a contract's result) streams as fragments of its JSON
+        if (data.type === 'content_block_delta' && data.delta?.type === 'input_json_delta') {
+            return data.delta.partial_json;
+        }
+        return '';
+    },
+
+    // message_start carries the input tokens; message_delta the running output count
+    parseStreamUsage(data) {
+        if (data.type === 'message_start') return this.parseUsage(data.message || {});
+        if (data.type === 'message_delta' && data.usage) return { outputTokens: data.usage.output_tokens };
+        return null;
+    },
+
+    modelsUrl(config) {
+        return `${baseUrlFor(this, config)}/v1/models?limit=100`;
+    },
+
+    parseModels(data) {
+        return data.data.map(m => ({ id: m.id, name: m.display_name || m.id, created: m.created_at }));
+    },
+
+    errorMessage: defaultErrorMessage
+});
+
+// ── OpenAI Chat Completions and compatible servers ────────────
+// Shared by OpenAI, Azure OpenAI and self-hosted OpenAI-compatible servers
+// (Ollama, vLLM, LM Studio); the variants differ in URLs, auth and which
+// request options the server accepts.
+function openAIStyleAdapter(options) {
+    return {
+        requiresKey: true,
+        defaultBaseUrl: null,
+        defaultModel: null,
+        jsonMode: true,            // server supports response_format: json_object
+        schemaMode: true,          // server supports response_format: json_schema
+        streamUsage: true,         // server supports stream_options: { include_usage }
+        maxTokensField: 'max_tokens',
+
+        headers(config) {
+            return config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {};
+        },
+
+        chatUrl(config) {
+            return `${baseUrlFor(this, config)}/chat/completions`;
+        },
+
+        buildRequest(config, messages, stream) {
+            return {
+                url: this.chatUrl(config),
+                body: {
+                    model: modelFor(this, config),
+                    [this.maxTokensField]: maxTokensFor(config),
+                    ...(this.jsonMode && { response_format: this.responseFormat(config) }),
+                    messages: this.jsonMode ? messages : [{ role: 'system', content: systemPromptFor(config) }, ...messages],
+                    ...(stream && { stream: true }),
+                    ...(stream && this.streamUsage && { stream_options: { include_usage: true } })
+                }
+            };
+        },
+
+        responseFormat(config) {
+            const contract = config.schema;
+            if (!contract || !this.schemaMode) return { type: 'json_object' };
+            return {
+                type: 'json_schema',
+                json_schema: { name: contract.name, description: contract.description, schema: contract.schema, strict: true }
+            };
+        },
+
+        parseResponse(data) {
+            const message = data.choices[0].message;
+            if (message.refusal) {
+                const err = new Error(`The model declined the request: ${message.refusal}`);
+                err.status = 422;
+                err.code = 'refused';
+                throw err;
+            }
+            return message.content;
+        },
+
+        isTruncated(data) {
+            return data.choices?.[0]?.finish_reason === 'length';
+        },
+
+        parseUsage(data) {
+            const u = data.usage;
+            return u ? { inputTokens: u.prompt_tokens, outputTokens: u.completion_tokens } : null;
+        },
+
+        parseStreamEvent(data) {
+            if (data.error) {
+                const err = new Error(data.error.message || 'Upstream stream error');
+                err.status = 502;
+                throw err;
+            }
+            return data.choices?.[0]?.delta?.content || '';
+        },
+
+        // With include_usage, the last chunk has usage and no choices
+        parseStreamUsage(data) {
+            return this.parseUsage(data);
+        },
+
+        modelsUrl(config) {
+            return `${baseUrlFor(this, config)}/models`;
+        },
+
+        parseModels(data) {
+            return data.data.map(m => ({
+                id: m.id,
+                name: m.id,
+                created: m.created ? new Date(m.created * 1000).toISOString().slice(0, 10) : ''
+            }));
+        },
+
+        errorMessage: defaultErrorMessage,
+        ...options
+    };
+}
+
+registerAdapter(openAIStyleAdapter({
+    name: 'openai',
+    label: 'OpenAI',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-4o',
+    maxTokensField: 'max_completion_tokens'
+}));
+
+// Azure OpenAI: the model is the deployment name; AI_BASE_URL is the resource
+// endpoint, e.g. https://my-resource.openai.azure.com
+const AZURE_API_VERSION = process.env.AZURE_OPENAI_API_VERSION || '2024-10-21';
+
+registerAdapter(openAIStyleAdapter({
+    name: 'azure',
+    label: 'Azure OpenAI',
+    maxTokensField: 'max_completion_tokens',
+
+    headers(config) {
+        return { 'api-key': config.apiKey };
+    },
+
+    chatUrl(config) {
+        return `${baseUrlFor(this, config)}/openai/deployments/${encodeURIComponent(config.model)}/chat/completions?api-version=${AZURE_API_VERSION}`;
+    },
+
+    modelsUrl(config) {
+        return `${baseUrlFor(this, config)}/openai/models?api-version=${AZURE_API_VERSION}`;
+    }
+}));
+
+// Any server implementing the OpenAI Chat Completions API (vLLM, LM Studio, ...).
+// Not all of them accept response_format, so JSON is requested via the system prompt.
+registerAdapter(openAIStyleAdapter({
+    name: 'openai-compatible',
+    label: 'OpenAI-compatible server',
+    requiresKey: false,
+    jsonMode: false,
+    schemaMode: false,
+    streamUsage: false
+}));
+
+// Local Ollama through its OpenAI-compatible endpoint
+registerAdapter(openAIStyleAdapter({
+    name: 'ollama',
+    label: 'Ollama',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    requiresKey: false
+}));
+
+// ── Request helpers ───────────────────────────────────────────
+async function providerFetch(adapter, config, url, init) {
+    const headers = {
+        ...adapter.headers(config),
+        ...(init.body && { 'content-type': 'application/json' }),
+        ...config.headers
+    };
+
+    let response;
+    try {
+        response = await fetch(url, { ...init, headers });
+    } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        // Network-level failure: DNS, connection refused (local server down), TLS
+        const wrapped = new Error(`Could not reach ${adapter.label} at ${new URL(url).host}: ${err.cause?.message || err.message}`);
+        wrapped.status = 502;
+        throw wrapped;
+    }
+
+    if (!response.ok) {
+        const err = new Error(adapter.errorMessage(await response.text()));
+        err.status = response.status;
+        err.retryAfterMs = retryAfterMs(response.headers);
+        throw err;
+    }
+    return response;
+}
+
+// How long the provider asked us to wait before retrying, in ms, or null.
+// OpenAI sends retry-after-ms; the standard retry-after is seconds or an HTTP date.
+function retryAfterMs(headers) {
+    const ms = parseFloat(headers.get('retry-after-ms'));
+    if (Number.isFinite(ms)) return Math.max(0, ms);
+    const value = headers.get('retry-after');
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+// A single prompt string is shorthand for a one-message conversation
+function toMessages(input) {
+    return typeof input === 'string' ? [{ role: 'user', content: input }] : input;
+}
+
+// { inputTokens, outputTokens } when the provider reported both, else null
+function completeUsage(usage) {
+    if (!usage || !Number.isFinite(usage.inputTokens) || !Number.isFinite(usage.outputTokens)) return null;
+    return { inputTokens: usage.inputTokens, outputTokens: usage.outputTokens };
+}
+
+// The response stopped at the output budget. A distinct error (code
+// "output_truncated") so clients can retry with a larger maxTokens.
+function truncatedError(config, usage) {
+    const err = new Error(`The AI response was cut off at the ${maxTokensFor(config).toLocaleString('en-US')}-token output limit before it was complete.`);
+    err.status = 422;
+    err.code = 'output_truncated';
+    err.maxTokens = maxTokensFor(config);
+    err.usage = usage;
+    return err;
+}
+
+// The content to return: with a contract, its validated JSON. Errors carry the
+// usage so the tokens spent on a rejected response are still accounted.
+function finishContent(config, content, usage) {
+    if (!config.schema) return content;
+    try {
+        return JSON.stringify(parseStructured(content, config.schema));
+    } catch (err) {
+        err.usage = usage;
+        throw err;
+    }
+}
+
+// Call AI provider API. `input` is a prompt string or a list of
+// { role: 'user' | 'assistant', content } messages. Resolves to
+// { content, usage }; usage is null if the provider did not report it.
+async function callAI(config, input, signal) {
+    const adapter = getAdapter(config.provider);
+    const { url, body } = adapter.buildRequest(config, toMessages(input), false);
+
+    const response = await providerFetch(adapter, config, url, {
+        method: 'POST',
+        body: JSON.stringify(body),
+        signal
+    });
+
+    const data = await response.json();
+    const usage = completeUsage(adapter.parseUsage(data));
+    if (adapter.isTruncated(data)) throw truncatedError(config, usage);
+    return { content: finishContent(config, adapter.parseResponse(data), usage), usage };
+}
+
+// Call AI provider API in streaming mode. `onText` receives each text chunk as
+// it arrives; resolves to { content, usage } like callAI.
+async function streamAI(config, input, signal, onText) {
+    const adapter = getAdapter(config.provider);
+    const { url, body } = adapter.buildRequest(config, toMessages(input), true);
+
+    const response = await providerFetch(adapter, config, url, {
+        method: 'POST',
+        body: JSON.stringify(body),
+        signal
+    });
+
+    let content = '';
+    let usage = {};
+    let truncated = false;
+    for await (const event of readSSE(response.body)) {
+        if (!event.data || event.data === '[DONE]') continue;
+
+        const data = JSON.parse(event.data);
+        const text = adapter.parseStreamEvent(data);
+        if (text) {
+            content += text;
+            onText(text);
+        }
+        usage = { ...usage, ...adapter.parseStreamUsage(data) };
+        truncated = truncated || adapter.isTruncated(data);
+    }
+
+    usage = completeUsage(usage);
+    if (truncated) throw truncatedError(config, usage);
+    return { content: finishContent(config, content, usage), usage };
+}
+
+// List the models available to a provider config, newest first
+async function listModels(config, signal) {
+    const adapter = getAdapter(config.provider);
+    const response = await providerFetch(adapter, config, adapter.modelsUrl(config), { method: 'GET', signal });
+    const models = adapter.parseModels(await response.json());
+    models.sort((a, b) => String(b.created).localeCompare(String(a.created)));
+    return models;
+}
+
+// Parse a Server-Sent Events byte stream into { event, data } objects
+async function* readSSE(stream) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of stream) {
+        buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n?/g, '\n');
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const raw = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            const data = [];
+            for (const line of raw.split('\n')) {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+            }
+            if (data.length) yield { event, data: data.join('\n') };
+        }
+    }
+}
+
+// Read provider config from environment variables
+function configFromEnv(env) {
+    let headers = {};
+    if (env.AI_HEADERS) {
+        try {
+            headers = JSON.parse(env.AI_HEADERS);
+        } catch {
+            log.warn('config_ignored', { setting: 'AI_HEADERS', reason: 'not valid JSON' });
+        }
+    }
+    return {
+        provider: env.AI_PROVIDER || 'claude',
+        apiKey: env.AI_API_KEY || '',
+        model: env.AI_MODEL || '',
+        baseUrl: env.AI_BASE_URL || '',
+        headers
+    };
+}
+
+// Provider config from a JSON config entry (AI_FAILOVER, tenants file):
+// { provider, model, baseUrl, headers } plus apiKey, or apiKeyEnv naming the
+// environment variable that holds the key, so keys needn't be in the JSON
+function configFromEntry(entry, env) {
+    entry = entry || {};
+    return {
+        provider: entry.provider,
+        apiKey: (entry.apiKeyEnv ? env[entry.apiKeyEnv] : entry.apiKey) || '',
+        model: entry.model || '',
+        baseUrl: entry.baseUrl || '',
+        headers: entry.headers || {}
+    };
+}
+
+module.exports = {
+    registerAdapter,
+    getAdapter,
+    listAdapters,
+    configError,
+    configFromEnv,
+    configFromEntry,
+    effectiveModel,
+    callAI,
+    streamAI,
+    listModels,
+    MAX_OUTPUT_TOKENS
+};
@@ -0,0 +1,105 @@
+// Response contracts the proxy enforces on AI output.
+// A request names one ({ schema: "transform" }); the adapters pass it to the
+// provider's structured-output mechanism (Anthropic tool use, OpenAI
+// json_schema response format) or, for servers without one, describe it in the
+// system prompt. Either way the result is parsed and checked here before it
+// is returned, so clients get either a conforming object or an error.
+
+const SCHEMAS = {
+    // { explanation, jsTransform, script } — used for new transforms, repairs and refinements.
+    // explanation comes first so a streamed response shows it early.
+    transform: {
+        name: 'transform_result',
+        description: 'Return the generated transform function, the equivalent script and a short explanation.',
+        schema: {
+            type: 'object',
+            properties: {
+                explanation: {
+                    type: 'string',
+                    description: 'Brief explanation of the transformation logic.'
+                },
+                jsTransform: {
+                    type: 'string',
+                    description: 'Source of the JavaScript transform function, starting with "function transform(".'
+                },
+                script: {
+                    type: 'string',
+                    description: 'The full VBA or Office Script code implementing the same transformation.'
+                }
+            },
+            required: ['explanation', 'jsTransform', 'script'],
+            additionalProperties: false
+        }
+    }
+};
+
+// The named contract, or a 400 error for an unknown name
+function getSchema(name) {
+    const schema = Object.prototype.hasOwnProperty.call(SCHEMAS, name) ? SCHEMAS[name] : null;
+    if (!schema) {
+        const err = new Error(`Unknown schema: ${name}. Available: ${Object.keys(SCHEMAS).join(', ')}`);
+        err.status = 400;
+        throw err;
+    }
+    return schema;
+}
+
+// Problems with `value` against a JSON Schema subset (object, string, number,
+// integer, boolean, array; properties, required, additionalProperties, items,
+// enum).
+// Returns a list of messages; empty when the value conforms.
+function validate(schema, value, path = '') {
+    const where = path || 'response';
+    const types = {
+        object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+        array: Array.isArray,
+        string: v => typeof v === 'string',
+        number: v => typeof v === 'number' && Number.isFinite(v),
+        integer: Number.isInteger,
+        boolean: v => typeof v === 'boolean'
+    };
+    if (schema.type && !types[schema.type](value)) return [`${where} should be ${schema.type}`];
+    if (schema.enum && !schema.enum.includes(value)) return [`${where} should be one of ${schema.enum.join(', ')}`];
+
+    const problems = [];
+    if (schema.type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) problems.push(`${where} is missing "${key}"`);
+        });
+        Object.keys(value).forEach(key => {
+            const child = schema.properties && schema.properties[key];
+            if (child) problems.push(...validate(child, value[key], path ? `${path}.${key}` : key));
+            else if (schema.additionalProperties === false) problems.push(`${where} has unexpected "${key}"`);
+        });
+    }
+    if (schema.type === 'array' && schema.items) {
+        value.forEach((item, i) => problems.push(...validate(schema.items, item, `${where}[${i}]`)));
+    }
+    return problems;
+}
+
+// Parse and check AI output against a contract. Servers without structured
+// output may still wrap the JSON in a markdown fence; that one wrapper is
+// removed, nothing more. Throws a 422 error (code "invalid_output") otherwise:
+// like a truncated response, it is not retried or failed over, since asking
+// again costs another full call and says nothing about the provider's health.
+function parseStructured(text, contract) {
+    const invalid = (detail) => {
+        const err = new Error(`The AI response did not match the expected format: ${detail}.`);
+        err.status = 422;
+        err.code = 'invalid_output';
+        return err;
+    };
+    const body = text.trim().replace(/^```(?:json)?\s*\n([\s\S]*)\n```$/i, '$1');
+    let value;
+    try {
+        value = JSON.parse(body);
+    } catch (e) {
+        throw invalid(`not valid JSON (${e.message})`);
+    }
+    const problems = validate(contract.schema, value);
+    if (problems.length) throw invalid(problems.slice(0, 3).join('; '));
+    return value;
+}
+
+module.exports = { getSchema, validate, parseStructured };
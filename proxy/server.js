@@ -1,39 +1,320 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
+const { createJob, getJob, cancelJob, describeJob, JOB_TTL_MS, JOB_TIMEOUT_MS } = require('./jobs');
+const { callAI, getAdapter, configError, configFromEnv, effectiveModel, MAX_OUTPUT_TOKENS } = require('./providers');
+const { modelInfo, costOf, outputBudget } = require('./pricing');
+const { getSchema } = require('./schemas');
+const { renderTemplate, templateVersions, PROMPT_TEMPLATES_DIR } = require('./templates');
+const { createModelCatalog } = require('./models');
+const { createTenantRegistry, TENANTS_FILE } = require('./tenants');
+const { callWithFailover, streamWithFailover, FAILOVER_CONFIGS, RETRY_ATTEMPTS, label } = require('./failover');
+const { log, LOG_LEVEL } = require('./log');
+const { renderMetrics, observeRequest, trackUpstream, httpInFlight, rateLimited } = require('./metrics');
+const { recordUsage, checkDailyCap, usageReport, flushUsageSync, USAGE_FILE, USAGE_RETENTION_DAYS, DAILY_TOKEN_CAP, DAILY_TOKEN_CAP_TOTAL } = require('./usage');
 
 const app = express();
 const PORT = process.env.PORT || 3100;
 
-// AI configuration from environment
-const AI_PROVIDER = process.env.AI_PROVIDER || 'claude';
-const AI_API_KEY  = process.env.AI_API_KEY  || '';
-const AI_MODEL    = process.env.AI_MODEL    || '';
+// Only proxies at these addresses may report the client's IP (X-Forwarded-For);
+// anyone else's forwarding headers are ignored, so req.ip can't be spoofed to
+// dodge the rate limit or daily caps. Default: nginx on the same host.
+const TRUST_PROXY = process.env.TRUST_PROXY || 'loopback';
+app.set('trust proxy', TRUST_PROXY);
+
+// AI configuration from environment (see providers.js for the supported providers)
+const AI_CONFIG   = configFromEnv(process.env);
+const AI_PROVIDER = AI_CONFIG.provider;
+const AI_MODEL    = AI_CONFIG.model;
+
+// Models clients may pick per request (AI_ALLOWED_MODELS, see models.js)
+const catalog = createModelCatalog(AI_CONFIG);
+
+// Tenants and their access tokens (TENANTS_FILE, see tenants.js). A request's
+// tenant, once authenticated, is req.auth = { tenant, user }; a tenant may
+// bring its own provider config, model allow-list, origins and rate limit.
+const tenants = createTenantRegistry(TENANTS_FILE, { config: AI_CONFIG, catalog, env: process.env });
+
+function baseConfig(req) {
+    return (req.auth && req.auth.tenant.config) || AI_CONFIG;
+}
+
+function catalogFor(req) {
+    return req.auth ? req.auth.tenant.catalog : catalog;
+}
+
+// Whose provider key pays for a request (AI_KEY_MODE):
+//   server — always AI_API_KEY; requests carrying their own key are refused
+//   byok   — always the user's key from the X-Provider-Key header; AI_API_KEY is
+//            never used for AI calls
+//   either — the user's key when sent, otherwise AI_API_KEY (default)
+// User keys are held in memory for the request only and never logged.
+const KEY_MODES = ['server', 'byok', 'either'];
+const AI_KEY_MODE = KEY_MODES.includes(process.env.AI_KEY_MODE) ? process.env.AI_KEY_MODE : 'either';
+const USER_KEY_HEADER = 'X-Provider-Key';
+const MAX_USER_KEY_LENGTH = 512;
+
+function requestError(message, status) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// The user's provider key from the request, or null to use the server key
+function userApiKey(req) {
+    const key = (req.get(USER_KEY_HEADER) || '').trim();
+    if (!key) {
+        const base = baseConfig(req);
+        if (AI_KEY_MODE === 'byok') {
+            throw requestError('This proxy requires your own API key. Enter it in Settings.', 401);
+        }
+        if (AI_KEY_MODE === 'either' && !base.apiKey && getAdapter(base.provider).requiresKey) {
+            throw requestError('This proxy has no API key of its own. Enter your API key in Settings.', 401);
+        }
+        return null;
+    }
+    if (AI_KEY_MODE === 'server') {
+        throw requestError('This proxy uses its own API key and does not accept user keys. Clear the key in Settings.', 400);
+    }
+    if (key.length > MAX_USER_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+        throw requestError('The API key is malformed. Check the key in Settings.', 400);
+    }
+    return key;
+}
+
+const MIN_OUTPUT_TOKENS = 256;
+
+// Output budget a request asked for (maxTokens), capped at the model's output limit
+function requestMaxTokens(body, provider, model) {
+    const requested = body.maxTokens;
+    if (requested === undefined || requested === null) return outputBudget(provider, model, MAX_OUTPUT_TOKENS);
+    if (!Number.isInteger(requested) || requested < MIN_OUTPUT_TOKENS) {
+        throw requestError(`maxTokens must be a whole number of at least ${MIN_OUTPUT_TOKENS}.`, 400);
+    }
+    return outputBudget(provider, model, requested);
+}
+
+// Provider config for one request: the tenant's provider (else the server's),
+// the user's key if sent and allowed, the model it asked for if allowed, its
+// output budget and the response contract it named (schema). Throws a 400/401
+// error otherwise.
+function requestConfig(req) {
+    const body = req.body || {};
+    const base = baseConfig(req);
+    const apiKey = userApiKey(req);
+    const model = catalogFor(req).resolveModel(body.model);
+    const config = { ...base, model, userKey: !!apiKey, maxTokens: requestMaxTokens(body, base.provider, model) };
+    if (body.schema !== undefined) config.schema = getSchema(body.schema);
+    if (apiKey) config.apiKey = apiKey;
+    else if (AI_KEY_MODE === 'byok') config.apiKey = '';
+    return config;
+}
+
+// Upstream errors can quote the key they rejected; never pass it on or log it
+function redactKey(message, config) {
+    if (!config.userKey || !config.apiKey || !message) return message;
+    return message.split(config.apiKey).join('[redacted]');
+}
+
+// Errors from a call made with a user key say so, since the fix is in their Settings
+function upstreamError(err, config) {
+    const message = redactKey(err.message, config);
+    if (config.userKey && (err.status === 401 || err.status === 403)) {
+        return `The provider rejected your API key (${message}). Check the key in Settings.`;
+    }
+    return message;
+}
+
+// The client a request is accounted to: its IP, as a trusted proxy reports it
+// (TRUST_PROXY), or with an access token "<tenant>/<user>" (the tenant and IP
+// for tokens without a user)
+function clientId(req) {
+    return req.auth ? `${req.auth.tenant.id}/${req.auth.user || req.ip}` : req.ip;
+}
+
+// Who may poll or cancel a job: with access tokens, only the client that started it
+function jobOwner(req) {
+    return req.auth ? clientId(req) : null;
+}
+
+// Token usage of a finished AI call, recorded against the client and returned
+// to it as { inputTokens, outputTokens, costUsd, estimated }. When the provider
+// doesn't report usage, it is estimated from the text length. Priced for the
+// provider and model that served the call, which after a failover is not the
+// request's own.
+function accountUsage(req, config, messages, result) {
+    const served = result.servedBy || { provider: config.provider, model: config.model };
+    let usage = result.usage;
+    const estimated = !usage;
+    if (estimated) {
+        const inputChars = messages.reduce((sum, m) => sum + m.content.length, 0);
+        usage = { inputTokens: Math.ceil(inputChars / 4), outputTokens: Math.ceil(result.content.length / 4) };
+    }
+    const costUsd = costOf(served.provider, served.model, usage);
+    const client = clientId(req);
+    recordUsage({ client, model: served.model, usage, costUsd, estimated, userKey: config.userKey });
+    log.info('usage', {
+        requestId: req.id, client, provider: served.provider, model: served.model,
+        inputTokens: usage.inputTokens, outputTokens: usage.outputTokens, estimated, costUsd
+    });
+    return { ...usage, costUsd, estimated };
+}
+
+// Tokens spent on a call that failed after the provider answered (a truncated
+// or non-conforming response) are billed all the same, so account them too
+function accountFailedUsage(req, config, messages, err) {
+    if (err.usage) accountUsage(req, config, messages, { content: '', usage: err.usage, servedBy: err.servedBy });
+}
+
+// Error fields that tell the client how to recover, e.g. code
+// "output_truncated" with the maxTokens that ran out: retry with a larger one
+function errorFields(err) {
+    const fields = {};
+    if (err.code) fields.code = err.code;
+    if (err.maxTokens) fields.maxTokens = err.maxTokens;
+    return fields;
+}
+
+// Logs each failed attempt of a call going through failover.js
+function logAttemptFailure(req, config) {
+    return (err, { provider, model, attempt, retryInMs, failingOver }) => {
+        log.warn('upstream_attempt_failed', {
+            requestId: req.id, provider, model, attempt, status: err.status || 500, code: err.code,
+            next: retryInMs !== null ? 'retry' : failingOver ? 'failover' : 'give_up', retryInMs,
+            error: redactKey(err.message, config)
+        });
+    };
+}
+
+// Logs a request whose AI call failed for good
+function logRequestFailure(req, config, err, event) {
+    log.error(event, {
+        requestId: req.id, provider: config.provider, model: effectiveModel(config),
+        status: err.status || 500, code: err.code, error: redactKey(err.message, config)
+    });
+}
+
+// Refuses a request once today's token cap is used up. Calls paid for with
+// the user's own key are not capped.
+function checkCaps(req, config) {
+    if (config.userKey) return;
+    try {
+        checkDailyCap(clientId(req));
+    } catch (err) {
+        rateLimited.inc({ route: routeLabel(req), limit: err.code });
+        throw err;
+    }
+}
+
+// Sends an error raised before the AI call as JSON, with Retry-After for caps
+function sendRequestError(res, err) {
+    const status = err.status || 500;
+    if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+    res.status(status).json({ success: false, error: err.message, status, ...errorFields(err) });
+}
+
+// ── Request ids, metrics and request logging ─────────────────
+// Every response carries an X-Request-Id: nginx's $request_id when it sends
+// one, else a new id. Log entries about the request carry the same id, so an
+// error shown in the task pane can be matched to the server's logs.
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+function requestId(req) {
+    const given = req.get(REQUEST_ID_HEADER) || '';
+    return /^[\w.-]{8,64}$/.test(given) ? given : crypto.randomBytes(8).toString('hex');
+}
+
+// The route pattern a request matched (/api/jobs/:id), for metrics. Requests
+// refused before they reach their route (auth, origin, rate limits) are
+// matched against the routes here.
+function routeLabel(req) {
+    if (req.route) return req.baseUrl + req.route.path;
+    const path = req.originalUrl.split('?')[0];
+    const layer = app._router.stack.find(l => l.route && l.route.methods[req.method.toLowerCase()] && l.regexp.test(path));
+    return layer ? layer.route.path : 'unmatched';
+}
+
+// Successful requests to these aren't logged: polls, health checks and scrapes are frequent and cheap
+const QUIET_ROUTES = new Set(['/api/jobs/:id', '/api/health', '/metrics']);
+
+// One log entry per request, once it is answered (no API keys or prompt content)
+function logRequest(req, res, route, seconds) {
+    const base = baseConfig(req);
+    const model = (req.body && typeof req.body.model === 'string' && req.body.model.slice(0, 100)) || base.model || '(default)';
+    log.info('request', {
+        requestId: req.id,
+        method: req.method,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1000),
+        client: clientId(req),
+        provider: base.provider,
+        model,
+        key: req.get(USER_KEY_HEADER) ? 'user' : base === AI_CONFIG ? 'server' : 'tenant'
+    });
+}
+
+app.use((req, res, next) => {
+    req.id = requestId(req);
+    res.set(REQUEST_ID_HEADER, req.id);
+    const started = process.hrtime.bigint();
+    httpInFlight.inc();
+    res.once('close', () => {
+        httpInFlight.dec();
+        const route = routeLabel(req);
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        observeRequest({ route, method: req.method, status: res.statusCode, seconds });
+        if (res.statusCode >= 400 || !QUIET_ROUTES.has(route)) logRequest(req, res, route, seconds);
+    });
+    next();
+});
 
 // Parse allowed origins from environment variable or use defaults
 const allowedOrigins = process.env.ALLOWED_ORIGINS
     ? process.env.ALLOWED_ORIGINS.split(',').map(o => o.trim())
     : ['http://localhost:3000', 'https://localhost:3000'];
 
-// CORS configuration — browsers will reject responses to non-allowed origins
+// CORS configuration — browsers will reject responses to non-allowed origins.
+// Preflights carry no access token, so they accept any tenant's origins; each
+// request's own origin is checked against its tenant's list below.
 app.use(cors({
-    origin: allowedOrigins,
-    methods: ['POST', 'GET', 'OPTIONS'],
-    allowedHeaders: ['Content-Type']
+    origin: (origin, callback) => callback(null, allowedOrigins.includes(origin) || tenants.allOrigins().includes(origin)),
+    methods: ['POST', 'GET', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', USER_KEY_HEADER],
+    exposedHeaders: [REQUEST_ID_HEADER]
 }));
 
 // JSON body parsing
-app.use(express.json({ limit: '5mb' }));
+const MAX_REQUEST_BYTES = 5 * 1024 * 1024;
+app.use(express.json({ limit: MAX_REQUEST_BYTES }));
+
+// Access tokens — with TENANTS_FILE set, every request names its tenant with a
+// bearer token. The health check and preflights need none, and neither does the
+// usage report when called with USAGE_ADMIN_TOKEN.
+app.use('/api/', (req, res, next) => {
+    if (!tenants.enabled || req.method === 'OPTIONS' || req.path === '/health') return next();
+    if (req.path === '/usage' && isUsageAdmin(req)) return next();
+    try {
+        req.auth = tenants.authenticate(req.get('Authorization'));
+    } catch (err) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return sendRequestError(res, err);
+    }
+    next();
+});
 
 // Origin enforcement — blocks non-browser requests to POST endpoints.
 // CORS only instructs the browser; this middleware rejects requests server-side
-// when the Origin header is missing or doesn't match the allow-list.
+// when the Origin header is missing or doesn't match the allow-list (the
+// tenant's own list, if it has one).
 app.use('/api/', (req, res, next) => {
     // Allow GET (health check) and preflight OPTIONS through
     if (req.method === 'GET' || req.method === 'OPTIONS') return next();
 
     const origin = req.headers['origin'];
-    if (!origin || !allowedOrigins.includes(origin)) {
+    const origins = (req.auth && req.auth.tenant.origins) || allowedOrigins;
+    if (!origin || !origins.includes(origin)) {
         return res.status(403).json({
             success: false,
             error: 'Forbidden: request origin not allowed.',
@@ -43,22 +324,40 @@ app.use('/api/', (req, res, next) => {
     next();
 });
 
-// Rate limiting: 30 requests per minute per IP
+// Job status polls are frequent and cheap; they get their own, looser limit
+const isJobPoll = (req) => req.method === 'GET' && req.path.startsWith('/jobs/');
+
+// Answers a request over a rate limit, counting it for /metrics
+function rateLimitHandler(limit) {
+    return (req, res, next, options) => {
+        rateLimited.inc({ route: routeLabel(req), limit });
+        res.status(options.statusCode).json(options.message);
+    };
+}
+
+// Rate limiting: 30 requests per minute per IP, or a tenant's own limit
+// (rateLimit.perMinute) shared by all its users
+const tenantLimit = (req) => req.auth && req.auth.tenant.perMinute;
 const limiter = rateLimit({
     windowMs: 60 * 1000,
-    max: 30,
+    max: (req) => tenantLimit(req) || 30,
+    keyGenerator: (req) => tenantLimit(req) ? `tenant:${req.auth.tenant.id}` : req.ip,
     standardHeaders: true,
     legacyHeaders: false,
+    skip: isJobPoll,
+    handler: rateLimitHandler('requests'),
     message: { success: false, error: 'Rate limited. Please wait a moment and try again.', status: 429 }
 });
 app.use('/api/', limiter);
 
-// Request logging (no API keys or prompt content)
-app.use('/api/', (req, res, next) => {
-    const timestamp = new Date().toISOString();
-    const ip = req.headers['x-real-ip'] || req.headers['x-forwarded-for'] || req.ip;
-    console.log(`[${timestamp}] ${req.method} ${req.path} | IP: ${ip} | Provider: ${AI_PROVIDER} | Model: ${AI_MODEL || '(default)'}`);
-    next();
+// Rate limiting for job polls: 120 requests per minute per IP
+const pollLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 120,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: rateLimitHandler('job_polls'),
+    message: { success: false, error: 'Rate limited. Please wait a moment and try again.', status: 429 }
 });
 
 // Health check
@@ -66,111 +365,366 @@ app.get('/api/health', (req, res) => {
     res.json({ status: 'ok' });
 });
 
-// Test connection — sends a minimal request to the AI API using server-side config
+// Prometheus metrics (see metrics.js). Outside /api/, so nginx doesn't serve
+// it: scrape the proxy's port directly. With METRICS_TOKEN set, scrapes must
+// send it as a bearer token.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+app.get('/metrics', (req, res) => {
+    if (METRICS_TOKEN && !hasBearerToken(req, METRICS_TOKEN)) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ success: false, error: 'Metrics require METRICS_TOKEN.', status: 401 });
+    }
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Model limits and pricing, so the task pane can size prompts and estimate cost.
+// ?model= asks about one of the allowed models instead of the default.
+app.get('/api/info', (req, res) => {
+    const base = baseConfig(req);
+    let model;
+    try {
+        model = catalogFor(req).resolveModel(req.query.model);
+    } catch (err) {
+        return res.status(err.status).json({ success: false, error: err.message, status: err.status });
+    }
+    const info = modelInfo(base.provider, model);
+    const tenant = req.auth ? { tenant: { id: req.auth.tenant.id, name: req.auth.tenant.name, user: req.auth.user } } : {};
+    res.json({
+        success: true,
+        provider: base.provider,
+        model,
+        defaultModel: effectiveModel(base),
+        keyMode: AI_KEY_MODE,
+        auth: tenants.enabled,
+        ...tenant,
+        templates: templateVersions(),
+        rawPrompts: ALLOW_RAW_PROMPTS,
+        contextTokens: info.contextTokens,
+        maxOutputTokens: outputBudget(base.provider, model, MAX_OUTPUT_TOKENS),
+        outputTokenLimit: info.outputTokenLimit,
+        maxRequestBytes: MAX_REQUEST_BYTES,
+        pricing: info.pricing
+    });
+});
+
+// Models a client may choose from, with context window and pricing. The live
+// list comes from the provider (cached) and is filtered by the allow-list.
+app.get('/api/models', async (req, res) => {
+    try {
+        const { provider } = baseConfig(req);
+        const { defaultModel, models, listError } = await catalogFor(req).allowedModels();
+        if (listError) {
+            log.warn('model_list_failed', { requestId: req.id, provider, error: listError });
+        }
+        res.json({ success: true, provider, defaultModel, models, listed: !listError });
+    } catch (err) {
+        const status = err.status || 500;
+        res.status(status).json({ success: false, error: err.message, status });
+    }
+});
+
+// Test connection — sends a minimal request to the AI API with the key the
+// request would use (the user's key from X-Provider-Key, or the server's).
+// No retries or failover: the result is about exactly that provider.
 app.post('/api/test', async (req, res) => {
-    if (!AI_API_KEY) {
-        return res.status(500).json({ success: false, error: 'AI_API_KEY is not configured on the server.' });
+    let config;
+    try {
+        config = requestConfig(req);
+        checkCaps(req, config);
+    } catch (err) {
+        return sendRequestError(res, err);
+    }
+
+    const misconfigured = configError(config);
+    if (misconfigured) {
+        return res.status(500).json({ success: false, error: misconfigured });
     }
 
     try {
         const testPrompt = 'Respond with exactly: ok';
-        const result = await callAI(AI_PROVIDER, AI_API_KEY, AI_MODEL, testPrompt);
-        res.json({ success: true, content: result });
+        const result = await trackUpstream(config, () => callAI(config, testPrompt));
+        const usage = accountUsage(req, config, [{ role: 'user', content: testPrompt }], result);
+        res.json({ success: true, content: result.content, usage, model: config.model, key: config.userKey ? 'user' : 'server' });
     } catch (err) {
         const status = err.status || 500;
-        console.error(`[${new Date().toISOString()}] TEST FAILED | Provider: ${AI_PROVIDER} | Model: ${AI_MODEL || 'default'} | Status: ${status} | ${err.message}`);
-        res.status(status).json({ success: false, error: err.message, status });
+        const message = upstreamError(err, config);
+        logRequestFailure(req, config, err, 'test_failed');
+        res.status(status).json({ success: false, error: message, status });
     }
 });
 
-// Transform — forwards the full prompt to the AI API using server-side config
-app.post('/api/transform', async (req, res) => {
-    const { prompt } = req.body;
+// Read the conversation from a transform request body. Accepts a single
+// `prompt` string, a template (`template` and its `fields`, see templates.js),
+// or a `messages` array of turns for multi-turn refinement: assistant turns are
+// { role: 'assistant', content }, user turns either { role: 'user', content }
+// or { role: 'user', template, fields }, and the last turn must be a user turn.
+// With ALLOW_RAW_PROMPTS=false, user turns must use a template.
+// Returns { messages, template } — template is the { name, version } behind the
+// last turn, or null — or { error }.
+const MAX_MESSAGES = 50;
+const ALLOW_RAW_PROMPTS = process.env.ALLOW_RAW_PROMPTS !== 'false';
+
+function readMessages(body) {
+    let turns;
+    if (Array.isArray(body.messages)) {
+        turns = body.messages;
+        if (turns.length === 0 || turns.length > MAX_MESSAGES) {
+            return { error: `messages must contain between 1 and ${MAX_MESSAGES} entries.` };
+        }
+    } else if (body.template !== undefined) {
+        turns = [{ role: 'user', template: body.template, fields: body.fields }];
+    } else if (typeof body.prompt === 'string' && body.prompt) {
+        turns = [{ role: 'user', content: body.prompt }];
+    } else {
+        return { error: 'Missing required field: template, prompt or messages' };
+    }
+
+    const messages = [];
+    let template = null;
+    for (const turn of turns) {
+        const role = turn && turn.role;
+        if (role === 'user' && turn.template !== undefined) {
+            let rendered;
+            try {
+                rendered = renderTemplate(turn.template, turn.fields);
+            } catch (err) {
+                return { error: err.message };
+            }
+            messages.push({ role, content: rendered.text });
+            template = { name: rendered.name, version: rendered.version };
+            continue;
+        }
+        if ((role !== 'user' && role !== 'assistant') || typeof turn.content !== 'string' || !turn.content) {
+            return { error: 'Each message needs a role of "user" or "assistant" and non-empty string content, or a template.' };
+        }
+        if (role === 'user' && !ALLOW_RAW_PROMPTS) {
+            return { error: `This proxy only accepts templated requests (${Object.keys(templateVersions()).join(', ')}), not free-form prompts.` };
+        }
+        messages.push({ role, content: turn.content });
+        if (role === 'user') template = null;
+    }
+    if (messages[messages.length - 1].role !== 'user') {
+        return { error: 'The last message must have role "user".' };
+    }
+    return { messages, template };
+}
+
+// Transform — queues the prompt as a background job and returns its id right away.
+// The client polls GET /api/jobs/:id for the result, so no single request has to
+// outlive nginx's 120s proxy_read_timeout.
+app.post('/api/transform', (req, res) => {
+    const { messages, template, error } = readMessages(req.body);
 
-    if (!prompt) {
-        return res.status(400).json({ success: false, error: 'Missing required field: prompt' });
+    if (error) {
+        return res.status(400).json({ success: false, error });
     }
 
-    if (!AI_API_KEY) {
-        return res.status(500).json({ success: false, error: 'AI_API_KEY is not configured on the server.' });
+    let config;
+    try {
+        config = requestConfig(req);
+        checkCaps(req, config);
+    } catch (err) {
+        return sendRequestError(res, err);
     }
 
+    const misconfigured = configError(config);
+    if (misconfigured) {
+        return res.status(500).json({ success: false, error: misconfigured });
+    }
+
+    let job;
     try {
-        const content = await callAI(AI_PROVIDER, AI_API_KEY, AI_MODEL, prompt);
-        res.json({ success: true, content });
+        job = createJob(async (signal) => {
+            try {
+                const result = await callWithFailover(config, messages, signal, logAttemptFailure(req, config));
+                return { content: result.content, usage: accountUsage(req, config, messages, result), servedBy: result.servedBy, template };
+            } catch (err) {
+                accountFailedUsage(req, config, messages, err);
+                if (!signal.aborted) {
+                    logRequestFailure(req, config, err, 'transform_failed');
+                }
+                err.message = upstreamError(err, config);
+                throw err;
+            }
+        }, { owner: jobOwner(req), requestId: req.id });
     } catch (err) {
         const status = err.status || 500;
-        console.error(`[${new Date().toISOString()}] TRANSFORM FAILED | Provider: ${AI_PROVIDER} | Model: ${AI_MODEL || 'default'} | Status: ${status} | ${err.message}`);
-        res.status(status).json({ success: false, error: err.message, status });
+        return res.status(status).json({ success: false, error: err.message, status });
     }
+
+    res.status(202).json({ success: true, ...describeJob(job) });
 });
 
-// Call AI provider API
-async function callAI(provider, apiKey, model, prompt) {
-    let url, headers, body;
+// Streaming transform — relays the AI response to the client as Server-Sent Events.
+// Events: `delta` { text }, `done` { content, usage, servedBy, template },
+// `error` { error, status, code? }.
+// If the client disconnects mid-stream, the upstream request is aborted.
+app.post('/api/transform/stream', async (req, res) => {
+    const { messages, template, error } = readMessages(req.body);
 
-    if (provider === 'claude') {
-        url = 'https://api.anthropic.com/v1/messages';
-        headers = {
-            'x-api-key': apiKey,
-            'anthropic-version': '2023-06-01',
-            'content-type': 'application/json'
-        };
-        body = JSON.stringify({
-            model: model || 'claude-sonnet-4-20250514',
-            max_tokens: 16384,
-            system: 'You are a JSON-only responder. Output raw JSON with no markdown fences, no commentary, and no extra text. Your entire response must be a single valid JSON object.',
-            messages: [{ role: 'user', content: prompt }]
-        });
-    } else if (provider === 'openai') {
-        url = 'https://api.openai.com/v1/chat/completions';
-        headers = {
-            'Authorization': `Bearer ${apiKey}`,
-            'content-type': 'application/json'
-        };
-        body = JSON.stringify({
-            model: model || 'gpt-4o',
-            max_completion_tokens: 16384,
-            response_format: { type: 'json_object' },
-            messages: [{ role: 'user', content: prompt }]
-        });
-    } else {
-        const err = new Error(`Unsupported provider: ${provider}`);
-        err.status = 400;
-        throw err;
+    if (error) {
+        return res.status(400).json({ success: false, error });
     }
 
-    const response = await fetch(url, { method: 'POST', headers, body });
+    let config;
+    try {
+        config = requestConfig(req);
+        checkCaps(req, config);
+    } catch (err) {
+        return sendRequestError(res, err);
+    }
 
-    if (!response.ok) {
-        const errorBody = await response.text();
-        let errorMessage;
-        try {
-            const parsed = JSON.parse(errorBody);
-            errorMessage = parsed.error?.message || parsed.error || errorBody;
-        } catch {
-            errorMessage = errorBody;
-        }
-        const err = new Error(errorMessage);
-        err.status = response.status;
-        throw err;
+    const misconfigured = configError(config);
+    if (misconfigured) {
+        return res.status(500).json({ success: false, error: misconfigured });
     }
 
-    const data = await response.json();
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
 
-    // Normalize response: extract the text content
-    if (provider === 'claude') {
-        return data.content[0].text;
-    } else {
-        return data.choices[0].message.content;
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // stop nginx from buffering the stream
+    });
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // Comment lines keep nginx's read timeout from firing while the model thinks
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    try {
+        const result = await streamWithFailover(config, messages, controller.signal,
+            text => send('delta', { text }), logAttemptFailure(req, config));
+        send('done', { content: result.content, usage: accountUsage(req, config, messages, result), servedBy: result.servedBy, template });
+    } catch (err) {
+        accountFailedUsage(req, config, messages, err);
+        if (controller.signal.aborted) {
+            log.info('stream_aborted', { requestId: req.id, reason: 'client disconnected' });
+            return;
+        }
+        const status = err.status || 500;
+        logRequestFailure(req, config, err, 'stream_failed');
+        send('error', { error: upstreamError(err, config), status, ...errorFields(err) });
+    } finally {
+        clearInterval(heartbeat);
+        res.end();
     }
+});
+
+// Token usage and cost. Callers see their own client's usage; with
+// USAGE_ADMIN_TOKEN as a bearer token, every client's. ?days= (default 7)
+// selects how many days back to report.
+const USAGE_ADMIN_TOKEN = process.env.USAGE_ADMIN_TOKEN || '';
+
+// Whether the request's Authorization header is `Bearer <token>`
+function hasBearerToken(req, token) {
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    if (!token || !match) return false;
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
 }
 
+function isUsageAdmin(req) {
+    return hasBearerToken(req, USAGE_ADMIN_TOKEN);
+}
+
+app.get('/api/usage', (req, res) => {
+    const days = req.query.days === undefined ? 7 : parseInt(req.query.days, 10);
+    if (!(days >= 1 && days <= USAGE_RETENTION_DAYS)) {
+        return res.status(400).json({ success: false, error: `days must be between 1 and ${USAGE_RETENTION_DAYS}.`, status: 400 });
+    }
+    if (isUsageAdmin(req)) {
+        return res.json({ success: true, scope: 'all', ...usageReport({ days }) });
+    }
+    const client = clientId(req);
+    res.json({ success: true, scope: 'client', client, ...usageReport({ client, days }) });
+});
+
+// Job status — returns the result once the job has finished
+app.get('/api/jobs/:id', pollLimiter, (req, res) => {
+    const job = getJob(req.params.id, jobOwner(req));
+
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found or expired.', status: 404 });
+    }
+    if (job.state === 'failed') {
+        const code = job.errorCode ? { code: job.errorCode } : {};
+        return res.status(job.errorStatus).json({ success: false, ...describeJob(job), error: job.error, status: job.errorStatus, ...code });
+    }
+    if (job.state === 'cancelled') {
+        return res.status(409).json({ success: false, ...describeJob(job), error: 'Request was cancelled.', status: 409 });
+    }
+    res.json({ success: true, ...describeJob(job) });
+});
+
+// Cancel job — aborts the upstream AI request if it is still running
+app.delete('/api/jobs/:id', (req, res) => {
+    const job = cancelJob(req.params.id, jobOwner(req));
+
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found or expired.', status: 404 });
+    }
+    res.json({ success: true, ...describeJob(job) });
+});
+
+// Body parser errors (oversized or malformed JSON) as JSON, not Express's HTML page
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({
+            success: false,
+            error: `Request is too large (limit ${MAX_REQUEST_BYTES / 1024 / 1024} MB). Reduce the sample data and try again.`,
+            status: 413
+        });
+    }
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ success: false, error: 'Request body is not valid JSON.', status: 400 });
+    }
+    next(err);
+});
+
 app.listen(PORT, () => {
-    console.log(`Excel AI Proxy running on port ${PORT}`);
-    console.log(`Allowed origins: ${allowedOrigins.join(', ')}`);
-    console.log(`AI Provider: ${AI_PROVIDER} | Model: ${AI_MODEL || '(default)'}`);
-    if (!AI_API_KEY) {
-        console.warn('WARNING: AI_API_KEY is not set. API calls will fail.');
+    log.info('proxy_started', {
+        port: Number(PORT),
+        allowedOrigins,
+        provider: AI_PROVIDER,
+        model: AI_MODEL || '(default)',
+        baseUrl: AI_CONFIG.baseUrl || undefined,
+        jobs: { timeoutSeconds: JOB_TIMEOUT_MS / 1000, ttlSeconds: JOB_TTL_MS / 1000 },
+        retries: RETRY_ATTEMPTS,
+        failover: FAILOVER_CONFIGS.map(label),
+        promptTemplates: templateVersions(),
+        promptTemplatesDir: PROMPT_TEMPLATES_DIR,
+        rawPrompts: ALLOW_RAW_PROMPTS,
+        accessTokens: tenants.enabled ? { file: TENANTS_FILE, tenants: tenants.size() } : 'not required',
+        clientModels: catalog.allowList,
+        keyMode: AI_KEY_MODE,
+        usageFile: USAGE_FILE,
+        dailyTokenCap: DAILY_TOKEN_CAP || null,
+        dailyTokenCapTotal: DAILY_TOKEN_CAP_TOTAL || null,
+        metricsToken: !!METRICS_TOKEN,
+        logLevel: LOG_LEVEL
+    });
+    if (process.env.AI_KEY_MODE && !KEY_MODES.includes(process.env.AI_KEY_MODE)) {
+        log.warn('config_ignored', { setting: 'AI_KEY_MODE', reason: `"${process.env.AI_KEY_MODE}" is not one of ${KEY_MODES.join(', ')}; using "either"` });
+    }
+    const misconfigured = AI_KEY_MODE === 'byok' ? null : configError(AI_CONFIG);
+    if (misconfigured) {
+        log.warn('config_problem', { reason: misconfigured, affects: AI_KEY_MODE === 'either' ? 'requests without a user key' : 'all API calls' });
     }
 });
+
+// Write pending usage before the process exits (pm2 and docker stop send SIGINT / SIGTERM)
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+    try {
+        flushUsageSync();
+    } catch (err) {
+        log.error('usage_write_failed', { file: USAGE_FILE, reason: err.message });
+    }
+    process.exit(0);
+}));
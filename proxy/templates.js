@@ -0,0 +1,220 @@
+// Prompt templates the proxy fills in from structured request fields.
+// Clients send { template: "transform", fields: { ... } } (or user turns of
+// that shape in `messages`) instead of prompt text, so the wording lives here
+// and can change without redeploying the task pane.
+//
+// Templates are text files in PROMPT_TEMPLATES_DIR (default: ./templates),
+// named <name>.v<version>.txt; the highest version of each is used and
+// reported with the response. Placeholders follow a Mustache subset:
+//   {{field}}                  the field's value
+//   {{#field}} … {{/field}}    shown when the field is set; once per item for a
+//                              list, with the item's own fields in scope
+//   {{^field}} … {{/field}}    shown when the field is empty or missing
+// A section tag alone on its line takes the line with it.
+
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./schemas');
+const { log } = require('./log');
+
+const PROMPT_TEMPLATES_DIR = process.env.PROMPT_TEMPLATES_DIR || path.join(__dirname, 'templates');
+
+const SCRIPT_LANGUAGES = { VBA: 'VBA', OfficeScripts: 'Office Scripts (TypeScript)' };
+
+const text = { type: 'string' };
+const count = { type: 'integer' };
+
+// Fields shared by the templates that carry the data sample
+const SAMPLE_FIELDS = {
+    inputSample: text,       // CSV: header + representative rows, already trimmed and masked
+    totalRows: count,        // data rows in the full input
+    sampleRows: count,       // data rows in inputSample
+    hiddenColumns: { type: 'boolean' },  // some input columns shown as "…"
+    inputProfile: text,      // one line per input column, over the full input
+    tables: {                // samples of the additional input tables
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: { name: text, source: text, totalRows: count, sampleRows: count, csv: text },
+            required: ['name', 'totalRows', 'sampleRows', 'csv'],
+            additionalProperties: false
+        }
+    }
+};
+
+const COMMON_FIELDS = {
+    scriptLanguage: { type: 'string', enum: Object.keys(SCRIPT_LANGUAGES) },
+    tableNames: { type: 'array', items: text }   // additional tables passed to the function
+};
+
+// What each template accepts, as JSON Schema
+const TEMPLATE_FIELDS = {
+    transform: {
+        type: 'object',
+        properties: {
+            ...COMMON_FIELDS,
+            ...SAMPLE_FIELDS,
+            outputExample: text,
+            outputTypes: text,
+            rules: text,
+            previousScript: text
+        },
+        required: ['scriptLanguage', 'inputSample', 'totalRows', 'sampleRows', 'outputExample'],
+        additionalProperties: false
+    },
+    // A function that failed to run (error) or whose output differs from the
+    // Output Example (verification: { matchScore, details })
+    fix: {
+        type: 'object',
+        properties: {
+            ...COMMON_FIELDS,
+            ...SAMPLE_FIELDS,
+            outputExample: text,
+            outputTypes: text,
+            currentFunction: text,
+            error: text,
+            verification: {
+                type: 'object',
+                properties: { matchScore: text, details: text },
+                required: ['matchScore', 'details'],
+                additionalProperties: false
+            }
+        },
+        required: ['scriptLanguage', 'inputSample', 'outputExample', 'currentFunction'],
+        additionalProperties: false
+    },
+    // The sample is only sent when the refinement doesn't continue a conversation
+    refine: {
+        type: 'object',
+        properties: {
+            ...COMMON_FIELDS,
+            ...SAMPLE_FIELDS,
+            currentFunction: text,
+            instruction: text
+        },
+        required: ['scriptLanguage', 'currentFunction', 'instruction'],
+        additionalProperties: false
+    }
+};
+
+// ── Rendering ─────────────────────────────────────────────────
+// Parse template text into a tree of strings, { name } and { section, inverted, children }
+function parse(source) {
+    const body = source.replace(/^[ \t]*(\{\{[#^/][^}]*\}\})[ \t]*\r?\n/gm, '$1');
+    const root = { children: [] };
+    const stack = [root];
+    const tag = /\{\{([#^/]?)\s*([\w]+)\s*\}\}/g;
+    let last = 0;
+    let match;
+    while ((match = tag.exec(body))) {
+        const top = stack[stack.length - 1];
+        if (match.index > last) top.children.push(body.slice(last, match.index));
+        last = tag.lastIndex;
+        const [, kind, name] = match;
+        if (kind === '#' || kind === '^') {
+            const node = { section: name, inverted: kind === '^', children: [] };
+            top.children.push(node);
+            stack.push(node);
+        } else if (kind === '/') {
+            if (top.section !== name) throw new Error(`unexpected {{/${name}}}`);
+            stack.pop();
+        } else {
+            top.children.push({ name });
+        }
+    }
+    if (stack.length > 1) throw new Error(`{{#${stack[stack.length - 1].section}}} is never closed`);
+    if (last < body.length) root.children.push(body.slice(last));
+    return root.children;
+}
+
+function lookup(scopes, name) {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        const scope = scopes[i];
+        if (scope && typeof scope === 'object' && name in scope) return scope[name];
+    }
+    return undefined;
+}
+
+function renderNodes(nodes, scopes) {
+    return nodes.map(node => {
+        if (typeof node === 'string') return node;
+        const value = lookup(scopes, node.name || node.section);
+        if (node.name) return value === undefined || value === null ? '' : String(value);
+
+        const empty = !value || (Array.isArray(value) && !value.length);
+        if (node.inverted) return empty ? renderNodes(node.children, scopes) : '';
+        if (empty) return '';
+        if (Array.isArray(value)) return value.map(item => renderNodes(node.children, [...scopes, item])).join('');
+        return renderNodes(node.children, typeof value === 'object' ? [...scopes, value] : scopes);
+    }).join('');
+}
+
+// ── Loading ───────────────────────────────────────────────────
+// name → { name, version, nodes }, the highest version of each template
+function loadTemplates(dir) {
+    const templates = new Map();
+    let files;
+    try {
+        files = fs.readdirSync(dir);
+    } catch (err) {
+        log.warn('templates_not_loaded', { dir, reason: err.message });
+        return templates;
+    }
+    files.forEach(file => {
+        const match = /^([\w-]+)\.v(\d+)\.txt$/.exec(file);
+        if (!match) return;
+        const [, name, version] = match;
+        if (!TEMPLATE_FIELDS[name]) {
+            log.warn('template_ignored', { file, reason: `there is no template called "${name}"` });
+            return;
+        }
+        const current = templates.get(name);
+        if (current && current.version >= Number(version)) return;
+        try {
+            templates.set(name, { name, version: Number(version), nodes: parse(fs.readFileSync(path.join(dir, file), 'utf8')) });
+        } catch (err) {
+            log.warn('template_ignored', { file, reason: err.message });
+        }
+    });
+    return templates;
+}
+
+const TEMPLATES = loadTemplates(PROMPT_TEMPLATES_DIR);
+
+function templateError(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+// Values the templates use that follow from the fields
+function derivedFields(fields) {
+    const tableNames = fields.tableNames || (fields.tables || []).map(t => t.name);
+    return {
+        scriptLanguage: SCRIPT_LANGUAGES[fields.scriptLanguage],
+        signature: tableNames.length ? 'function transform(header, rows, tables)' : 'function transform(header, rows)',
+        tableNames: tableNames.map(name => JSON.stringify(name)).join(', ')
+    };
+}
+
+// Fill in a template. Resolves to { text, name, version }; throws a 400 error
+// for an unknown template or fields that don't match it.
+function renderTemplate(name, fields) {
+    const template = typeof name === 'string' && TEMPLATES.get(name);
+    if (!template) {
+        throw templateError(`Unknown template: ${name}. Available: ${[...TEMPLATES.keys()].join(', ') || 'none'}`);
+    }
+    const problems = validate(TEMPLATE_FIELDS[name], fields, 'fields');
+    if (problems.length) throw templateError(`Invalid fields for template "${name}": ${problems.slice(0, 3).join('; ')}.`);
+    if (name === 'fix' && !fields.error === !fields.verification) {
+        throw templateError('Template "fix" needs exactly one of fields.error and fields.verification.');
+    }
+    return { text: renderNodes(template.nodes, [fields, derivedFields(fields)]), name, version: template.version };
+}
+
+// { name: version } for each loaded template
+function templateVersions() {
+    return Object.fromEntries([...TEMPLATES.values()].map(t => [t.name, t.version]));
+}
+
+module.exports = { renderTemplate, templateVersions, PROMPT_TEMPLATES_DIR };
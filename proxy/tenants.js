@@ -0,0 +1,188 @@
+// Tenants — teams or users that call the proxy with a signed access token.
+// When TENANTS_FILE is set, every /api/ request except the health check needs
+// `Authorization: Bearer <token>`; without it the proxy is open as before,
+// protected by the origin check and the IP rate limit only.
+//
+// File layout: { "tenants": { "<id>": tenant } }, where tenant is
+//   {
+//     "name": "Finance team",
+//     "secret": "<at least 32 characters>",        signs the tenant's tokens
+//     "allowedOrigins": ["https://excel.example.com"], default ALLOWED_ORIGINS
+//     "provider": { "provider": "openai", "model": "gpt-4o", "apiKeyEnv": "FINANCE_KEY" },
+//                                                   default: the server's provider
+//     "allowedModels": ["gpt-4o-mini", "gpt-4.1*"], default AI_ALLOWED_MODELS
+//     "rateLimit": { "perMinute": 60 }              requests per minute for the
+//                                                   whole tenant; default 30 per IP
+//   }
+// The file is watched and reloaded when it changes; a file that doesn't load
+// leaves the previous tenants in place. Changing a tenant's secret (or removing
+// the tenant) revokes every token issued for it.
+//
+// Tokens are <payload>.<signature>, both base64url: the payload is JSON
+// { tenant, user, iat, exp } and the signature its HMAC-SHA256 under the
+// tenant's secret. Issue them with `node issue-token.js`.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { configError, configFromEntry } = require('./providers');
+const { createModelCatalog } = require('./models');
+const { log } = require('./log');
+
+const TENANTS_FILE = process.env.TENANTS_FILE || '';
+const TENANTS_RELOAD_MS = 2000;
+const MIN_SECRET_LENGTH = 32;
+
+function authError(message, code) {
+    const err = new Error(message);
+    err.status = 401;
+    err.code = code;
+    return err;
+}
+
+// ── Tokens ────────────────────────────────────────────────────
+function sign(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// A token for `tenantId`. `user` names the holder (shown in logs and usage);
+// `days` is how long it is valid, 0 for no expiry.
+function issueToken(tenantId, secret, { user = '', days = 0 } = {}) {
+    const iat = Math.floor(Date.now() / 1000);
+    const claims = { tenant: tenantId, user, iat };
+    if (days) claims.exp = iat + days * 86400;
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${payload}.${sign(payload, secret)}`;
+}
+
+// The token's claims, once its signature and expiry check out
+function readToken(token, tenants) {
+    const [payload, signature, extra] = String(token).split('.');
+    if (!payload || !signature || extra !== undefined) throw authError('The access token is malformed.', 'invalid_token');
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+        throw authError('The access token is malformed.', 'invalid_token');
+    }
+    const tenant = claims && typeof claims.tenant === 'string' && tenants.get(claims.tenant);
+    if (!tenant) throw authError('The access token is not valid on this proxy.', 'invalid_token');
+
+    const expected = Buffer.from(sign(payload, tenant.secret));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw authError('The access token is not valid on this proxy.', 'invalid_token');
+    }
+    if (claims.exp && claims.exp * 1000 < Date.now()) {
+        throw authError('The access token has expired. Ask for a new one.', 'invalid_token');
+    }
+    return { tenant, user: typeof claims.user === 'string' ? claims.user : '' };
+}
+
+// ── Loading ───────────────────────────────────────────────────
+function stringList(value) {
+    if (value === undefined) return null;
+    const list = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(list) || !list.every(v => typeof v === 'string')) throw new Error('expected a list of strings');
+    return list.map(v => v.trim()).filter(Boolean);
+}
+
+// One tenant entry as { id, name, secret, origins, config, catalog, perMinute }.
+// config is null for tenants on the server's provider; origins and perMinute
+// are null where the server defaults apply.
+function parseTenant(id, entry, defaults) {
+    if (!entry || typeof entry !== 'object') throw new Error('expected an object');
+    if (typeof entry.secret !== 'string' || entry.secret.length < MIN_SECRET_LENGTH) {
+        throw new Error(`"secret" must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+    }
+
+    let config = null;
+    if (entry.provider !== undefined) {
+        config = { ...configFromEntry(entry.provider, defaults.env), isolated: true };
+        const problem = configError(config);
+        if (problem) throw new Error(`"provider": ${problem}`);
+    }
+
+    // The server's allow-list is for the server's provider; a tenant on its own
+    // provider only gets its default model unless it lists others
+    const allowedModels = stringList(entry.allowedModels);
+    const env = allowedModels || config
+        ? { ...defaults.env, AI_ALLOWED_MODELS: (allowedModels || []).join(',') }
+        : defaults.env;
+    const perMinute = entry.rateLimit && entry.rateLimit.perMinute;
+    if (perMinute !== undefined && !(Number.isInteger(perMinute) && perMinute > 0)) {
+        throw new Error('"rateLimit.perMinute" must be a positive whole number');
+    }
+
+    return {
+        id,
+        name: typeof entry.name === 'string' && entry.name ? entry.name : id,
+        secret: entry.secret,
+        origins: stringList(entry.allowedOrigins),
+        config,
+        catalog: env === defaults.env ? defaults.catalog : createModelCatalog(config || defaults.config, env),
+        perMinute: perMinute || null
+    };
+}
+
+// Parse the tenants file into a Map of id → tenant. Throws if the file is
+// unreadable or not valid JSON; entries with problems are reported and skipped.
+function loadTenantsFile(file, defaults) {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!parsed || typeof parsed.tenants !== 'object' || Array.isArray(parsed.tenants)) {
+        throw new Error('missing "tenants" object');
+    }
+    const tenants = new Map();
+    Object.entries(parsed.tenants).forEach(([id, entry]) => {
+        try {
+            tenants.set(id, parseTenant(id, entry, defaults));
+        } catch (err) {
+            log.warn('tenant_ignored', { tenant: id, file, reason: err.message });
+        }
+    });
+    return tenants;
+}
+
+// The tenant registry behind the server's auth middleware. `defaults` is
+// { config, catalog, env }: the server's provider config and model catalog.
+function createTenantRegistry(file, defaults) {
+    let tenants = new Map();
+
+    function reload() {
+        try {
+            tenants = loadTenantsFile(file, defaults);
+            log.info('tenants_loaded', { file, tenants: [...tenants.keys()] });
+        } catch (err) {
+            log.error('tenants_not_loaded', { file, reason: err.message, keptTenants: tenants.size });
+        }
+    }
+
+    if (file) {
+        reload();
+        fs.watchFile(file, { interval: TENANTS_RELOAD_MS, persistent: false }, (curr, prev) => {
+            if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) reload();
+        });
+    }
+
+    // The caller of a request: { tenant, user } from its bearer token. Throws a
+    // 401 error (code "auth_required" or "invalid_token") otherwise.
+    function authenticate(authorization) {
+        const match = /^Bearer\s+(\S+)$/i.exec(authorization || '');
+        if (!match) throw authError('This proxy requires an access token. Enter it in Settings.', 'auth_required');
+        return readToken(match[1], tenants);
+    }
+
+    // Every origin any tenant may call from, for CORS preflights (which carry no token)
+    function allOrigins() {
+        return [...tenants.values()].flatMap(t => t.origins || []);
+    }
+
+    return {
+        enabled: !!file,
+        authenticate,
+        allOrigins,
+        size: () => tenants.size
+    };
+}
+
+module.exports = { createTenantRegistry, issueToken, TENANTS_FILE };
@@ -0,0 +1,202 @@
+// Token usage and cost per client per day, kept in a local JSON file.
+// Each AI call that succeeds is recorded against the calling client (its IP)
+// and the UTC day; GET /api/usage reports the totals and the daily token caps
+// are checked against them before each AI call.
+//
+// File layout: { days: { "2026-10-19": { "<client>": totals } } }, where totals
+// is { requests, inputTokens, outputTokens, costUsd, unpriced, estimated,
+// userKeyTokens, models: { "<model>": { requests, inputTokens, outputTokens, costUsd } } }.
+// Writes are batched and go through a temp file, so a crash loses at most the
+// last few seconds of usage and never leaves a half-written file.
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./log');
+
+const USAGE_FILE           = process.env.USAGE_FILE || path.join(__dirname, 'data', 'usage.json');
+const USAGE_RETENTION_DAYS = parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 90;
+// Tokens (input + output) per day; 0 means no cap. Tokens billed to a user's
+// own key (BYOK) don't count towards either cap.
+const DAILY_TOKEN_CAP       = parseInt(process.env.DAILY_TOKEN_CAP, 10) || 0;       // per client
+const DAILY_TOKEN_CAP_TOTAL = parseInt(process.env.DAILY_TOKEN_CAP_TOTAL, 10) || 0; // whole proxy
+const FLUSH_DELAY_MS = 2000;
+
+const store = load();
+let flushTimer = null;
+let writing = null;
+
+function load() {
+    let text;
+    try {
+        text = fs.readFileSync(USAGE_FILE, 'utf8');
+    } catch (err) {
+        if (err.code !== 'ENOENT') log.warn('usage_not_loaded', { file: USAGE_FILE, reason: err.message });
+        return { days: {} };
+    }
+    try {
+        const parsed = JSON.parse(text);
+        if (parsed && typeof parsed.days === 'object') return parsed;
+        throw new Error('missing "days"');
+    } catch (err) {
+        // Keep the damaged file for inspection rather than overwriting it
+        const aside = `${USAGE_FILE}.corrupt-${Date.now()}`;
+        try { fs.renameSync(USAGE_FILE, aside); } catch {}
+        log.warn('usage_not_loaded', { file: USAGE_FILE, reason: `not valid (${err.message})`, movedTo: aside });
+        return { days: {} };
+    }
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function emptyTotals() {
+    return { requests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpriced: 0, estimated: 0, userKeyTokens: 0, models: {} };
+}
+
+function addTo(totals, entry) {
+    totals.requests += entry.requests;
+    totals.inputTokens += entry.inputTokens;
+    totals.outputTokens += entry.outputTokens;
+    totals.costUsd += entry.costUsd;
+    totals.unpriced += entry.unpriced || 0;
+    totals.estimated += entry.estimated || 0;
+    totals.userKeyTokens += entry.userKeyTokens || 0;
+    Object.entries(entry.models || {}).forEach(([model, m]) => {
+        const target = totals.models[model] || (totals.models[model] = { requests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+        target.requests += m.requests;
+        target.inputTokens += m.inputTokens;
+        target.outputTokens += m.outputTokens;
+        target.costUsd += m.costUsd;
+    });
+    return totals;
+}
+
+// Record one AI call. `usage` is { inputTokens, outputTokens }; `costUsd` is null
+// when the model has no known price; `estimated` marks usage the provider did
+// not report; `userKey` marks calls billed to the user's own key.
+function recordUsage({ client, model, usage, costUsd, estimated, userKey }) {
+    const date = today();
+    const day = store.days[date] || (store.days[date] = {});
+    const tokens = usage.inputTokens + usage.outputTokens;
+    addTo(day[client] || (day[client] = emptyTotals()), {
+        requests: 1,
+        inputTokens: usage.inputTokens,
+        outputTokens: usage.outputTokens,
+        costUsd: costUsd || 0,
+        unpriced: costUsd === null ? 1 : 0,
+        estimated: estimated ? 1 : 0,
+        userKeyTokens: userKey ? tokens : 0,
+        models: { [model]: { requests: 1, inputTokens: usage.inputTokens, outputTokens: usage.outputTokens, costUsd: costUsd || 0 } }
+    });
+    scheduleFlush();
+}
+
+// Tokens a client (or, without one, the whole proxy) used today that count towards the caps
+function cappedTokensToday(client) {
+    const day = store.days[today()] || {};
+    const entries = client ? [day[client]].filter(Boolean) : Object.values(day);
+    return entries.reduce((sum, e) => sum + e.inputTokens + e.outputTokens - e.userKeyTokens, 0);
+}
+
+function secondsUntilMidnightUtc() {
+    const now = new Date();
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+// Throws a 429 error (with retryAfter seconds) once a daily cap is used up.
+// Checked before each call, so the call that crosses a cap still completes.
+function checkDailyCap(client) {
+    const fail = (message, code) => {
+        const err = new Error(`${message} The limit resets at midnight UTC.`);
+        err.status = 429;
+        err.code = code;
+        err.retryAfter = secondsUntilMidnightUtc();
+        throw err;
+    };
+    if (DAILY_TOKEN_CAP && cappedTokensToday(client) >= DAILY_TOKEN_CAP) {
+        fail(`Daily token limit reached: you have used ${cappedTokensToday(client).toLocaleString('en-US')} of ${DAILY_TOKEN_CAP.toLocaleString('en-US')} tokens today.`, 'daily_cap');
+    }
+    if (DAILY_TOKEN_CAP_TOTAL && cappedTokensToday(null) >= DAILY_TOKEN_CAP_TOTAL) {
+        fail(`This proxy's daily token budget of ${DAILY_TOKEN_CAP_TOTAL.toLocaleString('en-US')} tokens is used up.`, 'daily_cap_total');
+    }
+}
+
+// Usage over the last `days` days, newest first. With `client`, only that
+// client's entries are included; otherwise every client's, by client.
+function usageReport({ client, days }) {
+    const dates = [];
+    const now = Date.now();
+    for (let i = 0; i < days; i++) dates.push(new Date(now - i * 86400000).toISOString().slice(0, 10));
+
+    const report = {
+        days: dates.map(date => {
+            const day = store.days[date] || {};
+            const clients = client ? (day[client] ? { [client]: day[client] } : {}) : day;
+            const total = Object.values(clients).reduce((sum, entry) => addTo(sum, entry), emptyTotals());
+            return client ? { date, total } : { date, total, clients };
+        }),
+        caps: { perClient: DAILY_TOKEN_CAP || null, total: DAILY_TOKEN_CAP_TOTAL || null }
+    };
+    if (client && DAILY_TOKEN_CAP) {
+        report.remainingToday = Math.max(0, DAILY_TOKEN_CAP - cappedTokensToday(client));
+    }
+    return report;
+}
+
+// Drop days older than the retention period
+function prune() {
+    const oldest = new Date(Date.now() - (USAGE_RETENTION_DAYS - 1) * 86400000).toISOString().slice(0, 10);
+    Object.keys(store.days).forEach(date => {
+        if (date < oldest) delete store.days[date];
+    });
+}
+
+function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+        flushTimer = null;
+        flushUsage().catch(err => log.error('usage_write_failed', { file: USAGE_FILE, reason: err.message }));
+    }, FLUSH_DELAY_MS);
+}
+
+// Write the store to disk; resolves once it is written. Concurrent calls wait
+// for the write in progress and then write again.
+async function flushUsage() {
+    while (writing) await writing.catch(() => {});
+    prune();
+    const tmp = `${USAGE_FILE}.tmp`;
+    writing = (async () => {
+        await fs.promises.mkdir(path.dirname(USAGE_FILE), { recursive: true });
+        await fs.promises.writeFile(tmp, JSON.stringify(store));
+        await fs.promises.rename(tmp, USAGE_FILE);
+    })();
+    try {
+        await writing;
+    } finally {
+        writing = null;
+    }
+}
+
+// Synchronous write for shutdown, when there is no time for the batched one
+function flushUsageSync() {
+    if (flushTimer) clearTimeout(flushTimer);
+    flushTimer = null;
+    prune();
+    fs.mkdirSync(path.dirname(USAGE_FILE), { recursive: true });
+    fs.writeFileSync(`${USAGE_FILE}.tmp`, JSON.stringify(store));
+    fs.renameSync(`${USAGE_FILE}.tmp`, USAGE_FILE);
+}
+
+module.exports = {
+    recordUsage,
+    checkDailyCap,
+    usageReport,
+    flushUsage,
+    flushUsageSync,
+    USAGE_FILE,
+    USAGE_RETENTION_DAYS,
+    DAILY_TOKEN_CAP,
+    DAILY_TOKEN_CAP_TOTAL
+};
@@ -7,12 +7,34 @@
 
     // ── State ──────────────────────────────────────────────────
     const state = {
-        inputData: null,       // 2D array
+        inputData: null,       // 2D array (date cells as Date objects)
+        inputTypes: null,      // per-column type / number format profile of the input
+        inputSource: null,     // where the input was read from (see readRangeInBatches), for live links
+        extraInputs: [],       // [{ name, data, address, source }] — additional tables for joins / lookups
         outputData: null,      // 2D array
-        result: null,          // { transformedData, jsTransform, script, explanation }
+        outputTypes: null,     // per-column type / number format profile of the Output Example
+        result: null,          // { transformedData, numberFormats, jsTransform, script, explanation }
         lastJsTransform: null, // last generated JS function source (for retry)
         lastExecError: null,   // last local execution error message (for retry)
-        abortController: null  // AbortController for in-flight API request
+        lastVerification: null, // last Output Example comparison report (for retry)
+        conversation: [],      // AI message history behind the current result (for refinement)
+        conversationMasked: false, // whether that history was sent with privacy masking
+        sensitiveColumns: {},  // lower-cased header → true / false, overriding name detection
+        versions: [],          // [{ result, verification, label, conversation, masked }] — one per refinement
+        activeVersion: -1,     // index into versions of the result currently shown
+        lastWrite: null,       // undo record of the last write to Excel (see undoWrite)
+        lastOutput: null,      // where the last write put the result, for live links
+        watchedSheets: new Set(), // sheet ids with a change handler for live links
+        linkTimers: {},        // debounce timers, keyed by link id
+        linkRuns: {},          // link id → 'running' | 'again' (changed again while running)
+        resultView: 'result',  // 'result' (full result, paged) or 'diff' (against the Output Example)
+        resultPage: 0,         // page shown in the result view
+        modelInfo: null,       // proxy's model limits and pricing (/api/info); defaults until loaded
+        keyMode: null,         // proxy's AI_KEY_MODE: 'server' | 'byok' | 'either' (/api/info)
+        tenant: null,          // { id, name, user } the access token belongs to (/api/info)
+        authError: null,       // why the proxy refused the access token, until a working one is saved
+        abortController: null, // AbortController for in-flight API request / local execution
+        excelTasks: {}         // AbortControllers for batched Excel reads / writes, keyed by pane area
     };
 
     // ── Configuration ─────────────────────────────────────────
@@ -26,11 +48,335 @@
         localStorage.setItem('scriptLanguage', value);
     }
 
+    const DEFAULT_EXEC_TIMEOUT_SECONDS = 30;
+
+    function getExecTimeoutSeconds() {
+        const value = parseInt(localStorage.getItem('execTimeoutSeconds'), 10);
+        return value > 0 ? value : DEFAULT_EXEC_TIMEOUT_SECONDS;
+    }
+
+    function getStreamingEnabled() {
+        return localStorage.getItem('streamResponses') !== 'false';
+    }
+
+    function saveStreamingEnabled(value) {
+        localStorage.setItem('streamResponses', value ? 'true' : 'false');
+    }
+
+    // The user's own provider key, sent with AI requests when the proxy accepts it.
+    // Kept in this browser only.
+    function getApiKey() {
+        return localStorage.getItem('providerApiKey') || '';
+    }
+
+    function saveApiKey(value) {
+        if (value) localStorage.setItem('providerApiKey', value);
+        else localStorage.removeItem('providerApiKey');
+    }
+
+    // Access token issued by the proxy's operator (TENANTS_FILE on the proxy)
+    function getAccessToken() {
+        return localStorage.getItem('proxyAccessToken') || '';
+    }
+
+    function saveAccessToken(value) {
+        if (value) localStorage.setItem('proxyAccessToken', value);
+        else localStorage.removeItem('proxyAccessToken');
+    }
+
+    // '' means the proxy's default model
+    function getModel() {
+        return localStorage.getItem('aiModel') || '';
+    }
+
+    function saveModel(value) {
+        if (value) localStorage.setItem('aiModel', value);
+        else localStorage.removeItem('aiModel');
+    }
+
+    function getPrivacyMode() {
+        return localStorage.getItem('privacyMode') === 'true';
+    }
+
+    function savePrivacyMode(value) {
+        localStorage.setItem('privacyMode', value ? 'true' : 'false');
+    }
+
+    function getSuspendDuringWrite() {
+        return localStorage.getItem('suspendDuringWrite') === 'true';
+    }
+
+    function saveSuspendDuringWrite(value) {
+        localStorage.setItem('suspendDuringWrite', value ? 'true' : 'false');
+    }
+
+    const DEFAULT_REPAIR_ATTEMPTS = 2;
+    const MAX_REPAIR_ATTEMPTS = 5;
+
+    function getRepairAttempts() {
+        const value = parseInt(localStorage.getItem('repairAttempts'), 10);
+        return value >= 0 ? Math.min(value, MAX_REPAIR_ATTEMPTS) : DEFAULT_REPAIR_ATTEMPTS;
+    }
+
+    function saveRepairAttempts(value) {
+        const attempts = parseInt(value, 10);
+        if (attempts >= 0) localStorage.setItem('repairAttempts', String(Math.min(attempts, MAX_REPAIR_ATTEMPTS)));
+        else localStorage.removeItem('repairAttempts');
+    }
+
+    function saveExecTimeoutSeconds(value) {
+        const seconds = parseInt(value, 10);
+        if (seconds > 0) localStorage.setItem('execTimeoutSeconds', String(seconds));
+        else localStorage.removeItem('execTimeoutSeconds');
+    }
+
+    // ── Recipe library ────────────────────────────────────────
+    // Saved transforms that can be re-applied locally without an AI call.
+    // Stored in localStorage; shared between users via JSON export/import.
+    const RECIPE_FORMAT = 'excel-ai-transform-recipes';
+    const RECIPE_VERSION = 1;
+
+    function getRecipes() {
+        try {
+            const recipes = JSON.parse(localStorage.getItem('recipes') || '[]');
+            return Array.isArray(recipes) ? recipes : [];
+        } catch {
+            return [];
+        }
+    }
+
+    function saveRecipes(recipes) {
+        localStorage.setItem('recipes', JSON.stringify(recipes));
+    }
+
+    function findRecipe(id) {
+        return getRecipes().find(r => r.id === id) || null;
+    }
+
+    function newRecipeId() {
+        return 'r_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8);
+    }
+
+    function getHeaderSignature(data) {
+        return (data && data[0] ? data[0] : []).map(cell => String(cell ?? '').trim());
+    }
+
+    function getTableSignatures(tables) {
+        return (tables || []).map(t => ({ name: t.name, header: getHeaderSignature(t.data) }));
+    }
+
+    function compareHeaderSignature(expected, actual) {
+        const norm = (name) => name.toLowerCase();
+        const actualSet = new Set(actual.map(norm));
+        const expectedSet = new Set(expected.map(norm));
+        const missing = expected.filter(name => !actualSet.has(norm(name)));
+        const unexpected = actual.filter(name => !expectedSet.has(norm(name)));
+        const sameOrder = expected.length === actual.length &&
+            expected.every((name, i) => norm(name) === norm(actual[i]));
+
+        if (sameOrder) return { matches: true, message: '' };
+
+        const parts = [];
+        if (missing.length) parts.push('Missing columns: ' + missing.join(', ') + '.');
+        if (unexpected.length) parts.push('Unexpected columns: ' + unexpected.join(', ') + '.');
+        if (!parts.length) parts.push('Columns are in a different order.');
+        return { matches: false, message: parts.join(' ') };
+    }
+
+    function parseRecipeFile(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch {
+            throw new Error('File is not valid JSON.');
+        }
+        // Accept a full export, a bare array, or a single recipe
+        const list = Array.isArray(parsed) ? parsed
+            : Array.isArray(parsed.recipes) ? parsed.recipes
+            : [parsed];
+
+        const recipes = list.filter(r => r && typeof r.name === 'string' && typeof r.jsTransform === 'string');
+        if (recipes.length === 0) {
+            throw new Error('No recipes found in file.');
+        }
+        const now = new Date().toISOString();
+        return recipes.map(r => ({
+            id: null,
+            name: r.name.trim() || 'Imported recipe',
+            jsTransform: r.jsTransform,
+            script: typeof r.script === 'string' ? r.script : '',
+            explanation: typeof r.explanation === 'string' ? r.explanation : '',
+            scriptLanguage: r.scriptLanguage === 'OfficeScripts' ? 'OfficeScripts' : 'VBA',
+            inputHeader: Array.isArray(r.inputHeader) ? r.inputHeader.map(h => String(h ?? '')) : [],
+            tableHeaders: Array.isArray(r.tableHeaders)
+                ? r.tableHeaders
+                    .filter(t => t && typeof t.name === 'string' && Array.isArray(t.header))
+                    .map(t => ({ name: t.name, header: t.header.map(h => String(h ?? '')) }))
+                : [],
+            createdAt: r.createdAt || now,
+            updatedAt: now
+        }));
+    }
+
+    // ── Excel value types ─────────────────────────────────────
+    // Office.js hands back dates as serial numbers (days since 1899-12-30).
+    // Cells whose number format is a date format are turned into Date objects
+    // on capture and back into serials, with a number format, on write.
+    const EXCEL_EPOCH_UTC = Date.UTC(1899, 11, 30);
+    const DEFAULT_DATE_FORMAT = 'yyyy-mm-dd';
+
+    // Dates are built from local calendar fields so getDate()/getMonth() in the
+    // transform match what the sheet shows, whatever the user's time zone.
+    // Excel counts a non-existent 1900-02-29 (serial 60), so earlier serials are off by one.
+    function serialToDate(serial) {
+        const days = serial < 60 ? serial + 1 : serial;
+        const utc = new Date(EXCEL_EPOCH_UTC + Math.round(days * 86400000));
+        return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate(),
+            utc.getUTCHours(), utc.getUTCMinutes(), utc.getUTCSeconds(), utc.getUTCMilliseconds());
+    }
+
+    function dateToSerial(date) {
+        const utc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+            date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+        const days = (utc - EXCEL_EPOCH_UTC) / 86400000;
+        return days < 61 ? days - 1 : days;
+    }
+
+    function isDateFormat(format) {
+        if (!format || format === 'General' || format === '@') return false;
+        // Ignore quoted literals, escaped characters and [color]/[$-locale] sections
+        const code = format.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, '');
+        return /[dmyhs]/i.test(code) && !/^[#0.,%E+\-\s]*$/i.test(code);
+    }
+
+    function isDate(value) {
+        return value instanceof Date && !isNaN(value.getTime());
+    }
+
+    // Display form of a cell for previews and prompts
+    function formatCellText(value) {
+        if (isDate(value)) {
+            const pad = (n) => String(n).padStart(2, '0');
+            const day = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+            const hasTime = value.getHours() || value.getMinutes() || value.getSeconds();
+            return hasTime ? `${day} ${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}` : day;
+        }
+        return value == null ? '' : String(value);
+    }
+
+    // Replace date-formatted serials with Date objects (header row untouched)
+    function applyValueTypes(values, numberFormat, valueTypes) {
+        if (!numberFormat || !valueTypes) return values;
+        return values.map((row, r) => {
+            if (r === 0) return row;
+            return row.map((cell, c) => {
+                const type = valueTypes[r] && valueTypes[r][c];
+                const format = numberFormat[r] && numberFormat[r][c];
+                if ((type === 'Double' || type === 'Integer') && typeof cell === 'number' && isDateFormat(format)) {
+                    return serialToDate(cell);
+                }
+                return cell;
+            });
+        });
+    }
+
+    // Per-column type and format summary, used as hints in the prompt and to
+    // pick number formats when writing. [{ name, type, format, leadingZeros }]
+    function profileColumnTypes(values, numberFormat) {
+        const header = values[0] || [];
+        return header.map((name, c) => {
+            const typeCounts = {};
+            const formatCounts = {};
+            let leadingZeros = false;
+
+            for (let r = 1; r < values.length; r++) {
+                const cell = values[r][c];
+                if (cell === '' || cell == null) continue;
+
+                const type = isDate(cell) ? 'date'
+                    : typeof cell === 'number' ? 'number'
+                    : typeof cell === 'boolean' ? 'boolean'
+                    : 'text';
+                typeCounts[type] = (typeCounts[type] || 0) + 1;
+                if (type === 'text' && /^0\d+$/.test(cell)) leadingZeros = true;
+
+                const format = numberFormat && numberFormat[r] && numberFormat[r][c];
+                if (format && format !== 'General') formatCounts[format] = (formatCounts[format] || 0) + 1;
+            }
+
+            const dominant = (counts) => Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+            return {
+                name: String(name ?? ''),
+                type: dominant(typeCounts) || 'empty',
+                format: dominant(formatCounts),
+                leadingZeros
+            };
+        });
+    }
+
+    function describeColumnTypes(profile) {
+        return profile.map(col => {
+            let line = `${col.name}: ${col.type}`;
+            if (col.format) line += `, format "${col.format}"`;
+            if (col.type === 'date') line += ' (Date objects)';
+            if (col.leadingZeros) line += ', has leading zeros — keep as text';
+            return line;
+        }).join('\n');
+    }
+
+    // Number format for each output column: set by the function, else copied from
+    // the Output Example column of the same name, else inferred from the values.
+    function resolveColumnFormats(data, explicitFormats, exampleProfile) {
+        const header = data[0] || [];
+        const byName = new Map((exampleProfile || []).map(col => [col.name.trim().toLowerCase(), col]));
+
+        return header.map((name, c) => {
+            const key = String(name ?? '');
+            if (explicitFormats && typeof explicitFormats[key] === 'string') return explicitFormats[key];
+
+            const example = byName.get(key.trim().toLowerCase());
+            if (example && example.format) return example.format;
+            if (example && example.leadingZeros) return '@';
+
+            let hasDate = false;
+            let hasLeadingZeroText = false;
+            for (let r = 1; r < data.length; r++) {
+                const cell = data[r][c];
+                if (isDate(cell)) hasDate = true;
+                else if (typeof cell === 'string' && /^0\d+$/.test(cell)) hasLeadingZeroText = true;
+            }
+            if (hasDate) return DEFAULT_DATE_FORMAT;
+            if (hasLeadingZeroText) return '@';
+            return 'General';
+        });
+    }
+
+    // Values and a matching numberFormat matrix ready to assign to a range
+    function prepareForWrite(data, columnFormats) {
+        const width = data.reduce((max, row) => Math.max(max, row.length), 0);
+        const values = data.map(row => {
+            const out = new Array(width);
+            for (let c = 0; c < width; c++) {
+                const cell = row[c];
+                out[c] = isDate(cell) ? dateToSerial(cell) : (cell == null ? '' : cell);
+            }
+            return out;
+        });
+        const numberFormat = data.map((row, r) => {
+            const out = new Array(width);
+            for (let c = 0; c < width; c++) {
+                out[c] = r === 0 ? 'General' : (columnFormats[c] || 'General');
+            }
+            return out;
+        });
+        return { values, numberFormat };
+    }
+
     // ── CSV helpers ───────────────────────────────────────────
     function arrayToCsv(data) {
         return data.map(row =>
             row.map(cell => {
-                const str = cell == null ? '' : String(cell);
+                const str = formatCellText(cell);
                 if (str.includes(',') || str.includes('"') || str.includes('\n')) {
                     return '"' + str.replace(/"/g, '""') + '"';
                 }
@@ -39,315 +385,2138 @@
         ).join('\n');
     }
 
-    // ── Prompt construction ───────────────────────────────────
-    const SAMPLE_SIZE = 50;
+    // ── Sampling and column profiling ─────────────────────────
+    // The prompt carries a sample of the input, not all of it. Instead of the
+    // first N rows, the sample is chosen to cover what tends to break a
+    // transform later on: blanks, unusual value shapes, rare categories and
+    // extreme values. A per-column profile over the full input goes with it.
+    const SAMPLE_HEAD_ROWS = 10;             // leading rows always kept, for context
+    const PATTERNS_PER_COLUMN = 5;           // rarest value shapes sampled per column
+    const CATEGORY_MAX_DISTINCT = 50;        // at most this many values → treat as categories
+    const PROFILE_DISTINCT_CAP = 1000;       // stop counting distinct values beyond this
+    const PROFILE_LIST_LIMIT = 8;            // categories / patterns listed per column
+
+    // Profiles and samples are cached per captured array; captures replace the array
+    const profileCache = new WeakMap();
+    const sampleCache = new WeakMap();
+
+    // Shape of a value: digits become 9, letter runs become A / a.
+    // "AB-1234" → "A-9999", "Jane Doe" → "Aa Aa", "2024-01-05" → "9999-99-99"
+    function valuePattern(value) {
+        if (isDate(value)) return '<date>';
+        if (typeof value === 'boolean') return '<boolean>';
+        return String(value).slice(0, 40)
+            .replace(/\d/g, '9')
+            .replace(/\p{Lu}+/gu, 'A')
+            .replace(/\p{Ll}+/gu, 'a');
+    }
 
-    function buildTransformPrompt(inputData, outputExample, rules, previousScript, scriptLanguage) {
-        const totalRows = inputData.length - 1; // exclude header
-        const sampleRows = inputData.slice(0, Math.min(inputData.length, SAMPLE_SIZE + 1));
-        const sampleCsv = arrayToCsv(sampleRows);
-        const showingCount = Math.min(totalRows, SAMPLE_SIZE);
-        const outputCsv = arrayToCsv(outputExample);
+    function isBlank(value) {
+        return value == null || value === '';
+    }
+
+    // One pass over all rows. Row numbers are indexes into `data` (header = 0).
+    function profileColumns(data) {
+        if (profileCache.has(data)) return profileCache.get(data);
 
-        return `You are an Excel data transformation assistant. You will be given:
-1. INPUT DATA: A sample of the raw source data (header + up to ${SAMPLE_SIZE} rows, as CSV).
-2. OUTPUT EXAMPLE: An example of what the transformed data should look like (as CSV).
-3. (Optional) TRANSFORMATION RULES: Additional rules or descriptions.
-4. (Optional) PREVIOUS SCRIPT: A previously used script for reference.
+        const header = data[0] || [];
+        const columns = header.map((name) => ({
+            name: String(name ?? ''),
+            blanks: 0,
+            firstBlankRow: -1,
+            typeCounts: {},
+            distinct: new Map(),             // text form → { count, row }
+            distinctOverflow: false,
+            patterns: new Map(),             // pattern → { count, row }
+            min: null, minRow: -1,
+            max: null, maxRow: -1
+        }));
 
-Your task:
-A) Analyze the input sample and output example to infer the transformation logic.
-B) Write a JavaScript function that implements this transformation.
-C) Generate a reusable script in ${scriptLanguage} for the user.
+        for (let r = 1; r < data.length; r++) {
+            const row = data[r];
+            for (let c = 0; c < columns.length; c++) {
+                const col = columns[c];
+                const value = row[c];
+
+                if (isBlank(value)) {
+                    col.blanks++;
+                    if (col.firstBlankRow === -1) col.firstBlankRow = r;
+                    continue;
+                }
 
-The JavaScript function MUST follow this exact signature and contract:
-- Signature: function transform(header, rows)
-- header: a 1D array of strings (the first row / column names from the input)
-- rows: a 2D array of the remaining data rows (each row is an array of values)
-- Return value: a 2D array INCLUDING the new header as the first row
-- The function must be pure (no external dependencies, no DOM access, no fetch)
-- The function must handle edge cases: empty cells (null or ""), missing columns
-- Use only standard JavaScript (ES2017) — no import/require, no Node.js APIs
-- Cell values can be strings, numbers, booleans, or null (empty cells). Handle all types appropriately.
+                const type = isDate(value) ? 'date' : typeof value === 'number' ? 'number'
+                    : typeof value === 'boolean' ? 'boolean' : 'text';
+                col.typeCounts[type] = (col.typeCounts[type] || 0) + 1;
 
-Respond with EXACTLY this JSON structure (no markdown fences, no extra text):
-{
-  "jsTransform": "function transform(header, rows) { ... }",
-  "script": "...the full ${scriptLanguage} code as a string...",
-  "explanation": "Brief explanation of the transformation logic."
-}
+                const key = formatCellText(value);
+                const seen = col.distinct.get(key);
+                if (seen) seen.count++;
+                else if (col.distinct.size < PROFILE_DISTINCT_CAP) col.distinct.set(key, { count: 1, row: r });
+                else col.distinctOverflow = true;
 
---- INPUT DATA (CSV, ${totalRows} total data rows, showing first ${showingCount}) ---
-${sampleCsv}
+                const pattern = valuePattern(value);
+                const shape = col.patterns.get(pattern);
+                if (shape) shape.count++;
+                else if (col.patterns.size < PROFILE_DISTINCT_CAP) col.patterns.set(pattern, { count: 1, row: r });
 
---- OUTPUT EXAMPLE (CSV) ---
-${outputCsv}
+                if (type === 'number' || type === 'date') {
+                    const n = type === 'date' ? value.getTime() : value;
+                    if (col.min === null || n < col.min) { col.min = n; col.minRow = r; }
+                    if (col.max === null || n > col.max) { col.max = n; col.maxRow = r; }
+                }
+            }
+        }
 
---- TRANSFORMATION RULES ---
-${rules || '(none provided)'}
+        profileCache.set(data, columns);
+        return columns;
+    }
 
---- PREVIOUS SCRIPT ---
-${previousScript || '(none provided)'}`;
+    function columnType(col) {
+        const types = Object.keys(col.typeCounts).sort((a, b) => col.typeCounts[b] - col.typeCounts[a]);
+        if (types.length === 0) return 'empty';
+        if (types.length === 1) return types[0];
+        return 'mixed (' + types.map(t => `${col.typeCounts[t].toLocaleString()} ${t}`).join(', ') + ')';
     }
 
-    function buildFixPrompt(inputData, outputExample, failedFunction, errorMessage, scriptLanguage) {
-        const sampleCsv = arrayToCsv(inputData.slice(0, Math.min(inputData.length, SAMPLE_SIZE + 1)));
-        const outputCsv = arrayToCsv(outputExample);
+    function isCategoryColumn(col) {
+        return !col.distinctOverflow && col.distinct.size <= CATEGORY_MAX_DISTINCT && col.distinct.size > 1;
+    }
 
-        return `You previously generated a JavaScript transform function that failed with an error when executed locally.
+    // Header plus up to `size` rows, in their original order
+    function representativeSample(data, size) {
+        if (data.length <= size + 1) return data;
+        const cacheKey = size;
+        const cached = sampleCache.get(data);
+        if (cached && cached[cacheKey]) return cached[cacheKey];
 
---- ORIGINAL INPUT DATA (CSV, sample) ---
-${sampleCsv}
+        const picked = new Set();
+        const take = (row) => {
+            if (row > 0 && picked.size < size) picked.add(row);
+        };
 
---- EXPECTED OUTPUT (CSV) ---
-${outputCsv}
+        for (let r = 1; r <= SAMPLE_HEAD_ROWS; r++) take(r);
 
---- FAILED FUNCTION ---
-${failedFunction}
+        // Per column, the rows most likely to expose edge cases, rarest first
+        const candidates = profileColumns(data).map((col) => {
+            const rows = [col.firstBlankRow, col.minRow, col.maxRow];
+            const bySize = (map) => [...map.values()].sort((a, b) => a.count - b.count);
+            bySize(col.patterns).slice(0, PATTERNS_PER_COLUMN).forEach(p => rows.push(p.row));
+            if (isCategoryColumn(col)) bySize(col.distinct).forEach(v => rows.push(v.row));
+            return rows.filter(r => r > 0);
+        });
 
---- ERROR MESSAGE ---
-${errorMessage}
+        // Round-robin across columns so the first columns don't use up the budget
+        for (let i = 0; picked.size < size && candidates.some(list => i < list.length); i++) {
+            candidates.forEach(list => { if (i < list.length) take(list[i]); });
+        }
 
-Please fix the function. Same requirements as before:
-- Signature: function transform(header, rows)
-- header: a 1D array of strings (the first row / column names)
-- rows: a 2D array of the remaining data rows
-- Return a 2D array INCLUDING the new header as the first row
-- Pure JavaScript (ES2017), no external dependencies
-- Cell values can be strings, numbers, booleans, or null
+        // Fill the rest with rows spread evenly over the input
+        const total = data.length - 1;
+        for (let k = 0; picked.size < size && k < size; k++) {
+            take(1 + Math.floor(k * total / size));
+        }
+        for (let r = 1; picked.size < size && r <= total; r++) take(r);
 
-Respond with EXACTLY this JSON (no markdown fences, no extra text):
-{
-  "jsTransform": "function transform(header, rows) { ... }",
-  "script": "...the full ${scriptLanguage} code...",
-  "explanation": "Explanation of what was fixed."
-}`;
+        const sample = [data[0]].concat([...picked].sort((a, b) => a - b).map(r => data[r]));
+        sampleCache.set(data, Object.assign(cached || {}, { [cacheKey]: sample }));
+        return sample;
     }
 
-    // ── AI response parsing ───────────────────────────────────
-    function extractJson(raw) {
-        var text = raw.trim();
+    // Compact per-column summary for the prompt. `types` is the Excel number
+    // format profile from capture (see profileColumnTypes), when available;
+    // listed values longer than maxValueChars are cut. With a privacy `mask`,
+    // sensitive columns are described by shape only and listed values are masked.
+    function describeColumnProfile(data, types, maxValueChars, mask) {
+        const rowCount = Math.max(data.length - 1, 1);
+        return profileColumns(data).map((col, c) => {
+            const sensitive = mask && mask.isSensitive(col.name);
+            const parts = [columnType(col)];
+            parts.push(`${(col.blanks / rowCount * 100).toFixed(1).replace(/\.0$/, '')}% blank`);
+            parts.push(`${col.distinct.size.toLocaleString()}${col.distinctOverflow ? '+' : ''} distinct`);
 
-        // 1) Try parsing the whole string as-is (ideal case: pure JSON)
-        try { return JSON.parse(text); } catch (_) {}
+            if (col.min !== null && !sensitive) {
+                const show = (n) => {
+                    const text = col.typeCounts.date && !col.typeCounts.number ? formatCellText(new Date(n)) : String(n);
+                    return mask ? mask.maskText(text) : text;
+                };
+                parts.push(`min ${show(col.min)}, max ${show(col.max)}`);
+            }
 
-        // 2) Strip outer markdown code fences and try again
-        var stripped = text
-            .replace(/^```(?:json)?\s*\n?/i, '')
-            .replace(/\n?```\s*$/i, '')
-            .trim();
-        try { return JSON.parse(stripped); } catch (_) {}
+            const format = types && types[c] && types[c].format;
+            if (format) parts.push(`Excel format "${format}"`);
 
-        // 3) Find the first { … last } in the response (AI added prose around JSON)
-        var firstBrace = text.indexOf('{');
-        var lastBrace = text.lastIndexOf('}');
-        if (firstBrace !== -1 && lastBrace > firstBrace) {
-            var candidate = text.substring(firstBrace, lastBrace + 1);
-            try { return JSON.parse(candidate); } catch (_) {}
-        }
+            const top = (map) => [...map.entries()].sort((a, b) => b[1].count - a[1].count).slice(0, PROFILE_LIST_LIMIT)
+                .map(([key, v]) => {
+                    let shown = mask ? mask.maskText(key) : key;
+                    if (maxValueChars && shown.length > maxValueChars) shown = shown.slice(0, maxValueChars) + '…';
+                    return `${JSON.stringify(shown)} ×${v.count.toLocaleString()}`;
+                }).join(', ');
+            if (isCategoryColumn(col) && !sensitive) {
+                parts.push(`values: ${top(col.distinct)}${col.distinct.size > PROFILE_LIST_LIMIT ? ', ...' : ''}`);
+            } else if (col.patterns.size) {
+                parts.push(`patterns: ${top(col.patterns)}${col.patterns.size > PROFILE_LIST_LIMIT ? ', ...' : ''}`);
+            }
 
-        // 4) Extract from within markdown fences anywhere in the text
-        var fenceMatch = text.match(/```(?:json)?\s*\n([\s\S]*?)\n```/i);
-        if (fenceMatch) {
-            try { return JSON.parse(fenceMatch[1].trim()); } catch (_) {}
-        }
+            return `${col.name}: ${parts.join('; ')}`;
+        }).join('\n');
+    }
+
+    // ── Prompt budget ─────────────────────────────────────────
+    // Prompts are sized before sending: the estimate is checked against the
+    // model's context (less the room reserved for the answer) and the proxy's
+    // request size limit. Over budget, the prompt is rebuilt at increasing trim
+    // levels until it fits. Limits and prices come from the proxy's /api/info.
+    const DEFAULT_MODEL_INFO = {
+        provider: null,
+        model: null,
+        contextTokens: 128000,
+        maxOutputTokens: 16384,
+        outputTokenLimit: 16384,
+        maxRequestBytes: 5 * 1024 * 1024,
+        pricing: null
+    };
+    const BUDGET_HEADROOM = 0.9;   // token estimates are rough; keep a margin
 
-        throw new Error('Could not extract valid JSON from AI response.');
+    const TRIM_LEVELS = [
+        null,
+        { maxCellChars: 200 },
+        { maxCellChars: 200, sampleSize: 25, tableSampleSize: 10, exampleRows: 50 },
+        { maxCellChars: 100, sampleSize: 25, tableSampleSize: 10, exampleRows: 50, summarizeUnused: true },
+        { maxCellChars: 50, sampleSize: 10, tableSampleSize: 5, exampleRows: 20, summarizeUnused: true }
+    ];
+
+    function modelInfo() {
+        return state.modelInfo || DEFAULT_MODEL_INFO;
     }
 
-    function parseTransformResponse(raw) {
-        var parsed = extractJson(raw);
+    function promptTokenBudget() {
+        const info = modelInfo();
+        return Math.floor((info.contextTokens - info.maxOutputTokens) * BUDGET_HEADROOM);
+    }
+
+    // Templated turns are counted by their fields, plus an allowance for the
+    // template wording the proxy adds
+    const TEMPLATE_ALLOWANCE_CHARS = 6000;
 
-        // New format: jsTransform function
-        if (typeof parsed.jsTransform === 'string' && typeof parsed.script === 'string') {
-            return parsed;
+    function requestText(body) {
+        return body.messages.map(m => m.template
+            ? JSON.stringify(m.fields) + ' '.repeat(TEMPLATE_ALLOWANCE_CHARS)
+            : m.content).join('\n');
+    }
+
+    // buildBody(trim) returns a request body ({ messages }).
+    // trim.level is 0 for the untrimmed prompt; trim.mask is set in privacy mode.
+    // Returns the first level that fits: { body, tokens, bytes, notes, masked }
+    function fitRequest(buildBody) {
+        const info = modelInfo();
+        const tokenBudget = promptTokenBudget();
+        const byteBudget = info.maxRequestBytes * BUDGET_HEADROOM;
+        let tokens = 0;
+
+        const sources = [state.inputData, state.outputData].concat(state.extraInputs.map(t => t.data));
+        for (let i = 0; i < TRIM_LEVELS.length; i++) {
+            const mask = getPrivacyMode() ? createMasker(sources) : null;
+            const trim = Object.assign({ level: i, truncatedCells: 0, summarizedColumns: [], cut: {}, notes: [], mask }, TRIM_LEVELS[i]);
+            const body = buildBody(trim);
+            tokens = estimateTokens(requestText(body));
+            const bytes = new TextEncoder().encode(JSON.stringify(body)).length;
+            if (tokens <= tokenBudget && bytes <= byteBudget) {
+                return { body, tokens, bytes, notes: describeTrim(trim), masked: mask ? mask.masked() : null };
+            }
         }
+        throw new Error(`The prompt is too large even after trimming (~${tokens.toLocaleString()} tokens; ` +
+            `about ${tokenBudget.toLocaleString()} fit). Capture fewer columns or rows and try again.`);
+    }
 
-        // Backward-compatible: AI returned old format with transformedData
-        if (Array.isArray(parsed.transformedData) && typeof parsed.script === 'string') {
-            return {
-                jsTransform: null,
-                transformedData: parsed.transformedData,
-                script: parsed.script,
-                explanation: parsed.explanation || ''
-            };
+    function describeTrim(trim) {
+        const notes = trim.notes.slice();
+        if (trim.truncatedCells) {
+            notes.push(`${trim.truncatedCells.toLocaleString()} long cells cut to ${trim.maxCellChars} characters`);
         }
+        if (trim.cut.sample) notes.push(`input sample reduced to ${trim.sampleSize} rows`);
+        if (trim.cut.tables) notes.push(`additional table samples reduced to ${trim.tableSampleSize} rows`);
+        if (trim.cut.example) notes.push(`Output Example limited to ${trim.exampleRows} rows in the prompt (verification still checks all rows)`);
+        const columns = trim.summarizedColumns;
+        if (columns.length) {
+            notes.push(`${columns.length} columns not used in the output shown by profile only: ` +
+                columns.slice(0, 10).join(', ') + (columns.length > 10 ? `, and ${columns.length - 10} more` : ''));
+        }
+        return notes;
+    }
 
-        throw new Error('Invalid response structure: missing jsTransform function or script string.');
+    function trimCell(value, trim) {
+        if (!trim || !trim.maxCellChars || typeof value !== 'string' || value.length <= trim.maxCellChars) return value;
+        trim.truncatedCells++;
+        return value.slice(0, trim.maxCellChars) + '…';
     }
 
-    // ── Local JS execution engine ────────────────────────────
-    async function executeJsTransform(jsTransformSource, fullData) {
-        // Shallow copy to prevent AI-generated code from mutating state
-        var header = fullData[0].slice();
-        var rows = fullData.slice(1).map(function(row) { return row.slice(); });
+    // Prompt form of a table: cut, hidden and (in privacy mode) masked cells
+    function trimRows(rows, trim, hiddenColumns) {
+        if (!trim) return rows;
+        const mask = trim.mask;
+        const sensitive = mask ? (rows[0] || []).map(h => mask.isSensitive(h)) : [];
+        return rows.map((row, r) => row.map((cell, c) => {
+            if (r === 0) return trimCell(cell, trim);
+            if (hiddenColumns && hiddenColumns.has(c)) return '…';
+            return trimCell(mask ? mask.maskCell(cell, sensitive[c]) : cell, trim);
+        }));
+    }
 
-        // Create the transform function from AI-generated source
-        var factory = new Function('"use strict"; return (' + jsTransformSource + ')');
-        var transformFn = factory();
+    // Input columns that the Output Example and rules give no sign of using:
+    // no matching header, not named in the rules, no sampled value reappearing.
+    function unusedColumns(inputData, outputExample, rules) {
+        if (!outputExample) return new Set();
+        const outputHeaders = (outputExample[0] || []).map(h => String(h ?? '').trim().toLowerCase());
+        const outputText = outputExample.slice(1).map(row => row.map(formatCellText).join('\u0001')).join('\u0001').toLowerCase();
+        const rulesText = (rules || '').toLowerCase();
+        const sample = representativeSample(inputData, SAMPLE_SIZE);
+        const unused = new Set();
 
-        if (typeof transformFn !== 'function') {
-            throw new Error('AI did not return a valid function.');
+        (inputData[0] || []).forEach((name, c) => {
+            const header = String(name ?? '').trim().toLowerCase();
+            if (header && (rulesText.includes(header) || outputHeaders.some(h => h && (h.includes(header) || header.includes(h))))) return;
+            const valueReused = sample.slice(1).some(row => {
+                const text = formatCellText(row[c]).trim().toLowerCase();
+                return text.length > 1 && outputText.includes(text);
+            });
+            if (!valueReused) unused.add(c);
+        });
+        return unused;
+    }
+
+    // Sample rows for the prompt at the given trim level
+    function promptSample(inputData, outputExample, rules, trim) {
+        const sample = representativeSample(inputData, (trim && trim.sampleSize) || SAMPLE_SIZE);
+        if (trim && trim.sampleSize && inputData.length - 1 > trim.sampleSize) trim.cut.sample = true;
+        let hidden = null;
+        if (trim && trim.summarizeUnused) {
+            hidden = unusedColumns(inputData, outputExample, rules);
+            // Keep at least one column's values, or the sample says nothing
+            if (hidden.size >= (inputData[0] || []).length) hidden = null;
+            else hidden.forEach(c => trim.summarizedColumns.push(String(inputData[0][c] ?? '')));
         }
+        return { rows: trimRows(sample, trim, hidden), hidden };
+    }
+
+    function promptExample(outputExample, trim) {
+        const cut = trim && trim.exampleRows && outputExample.length - 1 > trim.exampleRows;
+        if (cut) trim.cut.example = true;
+        const rows = cut ? outputExample.slice(0, trim.exampleRows + 1) : outputExample;
+        return trimRows(rows, trim, null);
+    }
 
-        // Yield to event loop so UI can update before heavy computation
-        await new Promise(function(resolve) { setTimeout(resolve, 0); });
+    function formatUsd(amount) {
+        return '$' + (amount < 0.01 ? amount.toFixed(4) : amount.toFixed(2));
+    }
 
-        var result = transformFn(header, rows);
+    // Adds the proxy-reported usage of one AI call ({ inputTokens, outputTokens,
+    // costUsd, estimated }) to the running total for a result
+    function addUsage(total, usage) {
+        if (!usage) return total;
+        total = total || { inputTokens: 0, outputTokens: 0, costUsd: 0, calls: 0, estimated: false, unpriced: false };
+        return {
+            inputTokens: total.inputTokens + usage.inputTokens,
+            outputTokens: total.outputTokens + usage.outputTokens,
+            costUsd: total.costUsd + (usage.costUsd || 0),
+            calls: total.calls + 1,
+            estimated: total.estimated || !!usage.estimated,
+            unpriced: total.unpriced || usage.costUsd === null
+        };
+    }
 
-        // Validate result shape
-        if (!Array.isArray(result) || result.length === 0) {
-            throw new Error('Transform function returned empty or non-array result.');
+    // "AI usage: 12,345 input + 2,100 output tokens · $0.07 · 2 AI calls"
+    // "Served by OpenAI (gpt-4o), after failover"
+    function renderUsage(usage, servedBy, template) {
+        const lines = [];
+        if (usage) {
+            const approx = usage.estimated ? '≈ ' : '';
+            let text = `AI usage: ${approx}${usage.inputTokens.toLocaleString()} input + ${usage.outputTokens.toLocaleString()} output tokens`;
+            text += usage.unpriced ? ' · cost unknown' : ` · ${approx}${formatUsd(usage.costUsd)}`;
+            if (usage.calls > 1) text += ` · ${usage.calls} AI calls`;
+            lines.push(text);
         }
-        if (!Array.isArray(result[0])) {
-            throw new Error('Transform function did not return a 2D array.');
+        if (servedBy) {
+            let text = `Served by ${servedBy.label || servedBy.provider} (${servedBy.model})`;
+            if (servedBy.failover) text += ', after failover';
+            else if (servedBy.attempts > 1) text += `, after ${servedBy.attempts} attempts`;
+            if (template) text += ` · prompt template ${template.name} v${template.version}`;
+            lines.push(text);
         }
+        $('#result-usage').textContent = lines.join('\n');
+    }
 
-        return result;
+    // "Prompt ≈ 12,300 tokens of 165,000 · ≈ $0.04 input + up to $0.25 output (claude / claude-sonnet-4-...)"
+    function renderPromptEstimate(el, fit) {
+        const info = modelInfo();
+        let text = `Prompt ≈ ${fit.tokens.toLocaleString()} tokens of ${promptTokenBudget().toLocaleString()} available`;
+        if (info.pricing) {
+            const input = fit.tokens / 1e6 * info.pricing.input;
+            const output = info.maxOutputTokens / 1e6 * info.pricing.output;
+            text += input === 0 && output === 0
+                ? ' · no per-token cost'
+                : ` · ≈ ${formatUsd(input)} input + up to ${formatUsd(output)} output`;
+        }
+        if (info.model) text += ` (${info.provider} / ${info.model})`;
+
+        el.innerHTML = escapeHtml(text) + (fit.notes.length
+            ? '<div class="prompt-trimmed">Trimmed to fit: ' + fit.notes.map(escapeHtml).join('; ') + '.</div>'
+            : '') + renderMaskReport(fit.masked);
+        el.style.display = '';
     }
 
-    // ── Safe response parsing ──────────────────────────────────
-    async function safeJsonParse(response) {
-        const text = await response.text();
-        try {
-            return JSON.parse(text);
-        } catch {
-            // Likely an HTML error page from nginx or a misconfigured proxy URL
-            if (text.trimStart().startsWith('<')) {
-                throw new Error(
-                    `Proxy returned an error page (HTTP ${response.status}). ` +
-                    'Check that the Proxy URL is correct and the proxy service is running.'
-                );
-            }
-            throw new Error(`Unexpected response from proxy (HTTP ${response.status}).`);
+    // ── Privacy masking ───────────────────────────────────────
+    // In privacy mode, personal data in the prompt is replaced with
+    // format-preserving placeholders: letters stay letters of the same case,
+    // digits stay digits and punctuation is kept. Masking works word by word
+    // and the same word always gets the same placeholder in a session, so the
+    // AI still sees repeats, joins and splits (masked "Jane Doe" → "Qbxe Rtw",
+    // masked "Doe" → "Rtw"). Only the prompt is masked; the transform still
+    // runs locally on the real data.
+    const MASK_SESSION_KEY = Math.random().toString(36).slice(2);
+    const MASK_REPORT_LIMIT = 500;   // rows shown in the "masked values" list
+
+    // Matched in this order in one pass, so a placeholder is never re-matched
+    const PII_PATTERNS = [
+        { kind: 'email', keep: 0, source: '[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}' },
+        { kind: 'IBAN', keep: 2, source: '\\b[A-Z]{2}\\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\\b' },
+        // US SSN, Belgian national number, UK National Insurance number, French NIR
+        { kind: 'national ID', keep: 0, source: '\\b\\d{3}-\\d{2}-\\d{4}\\b|\\b\\d{2}\\.\\d{2}\\.\\d{2}-\\d{3}\\.\\d{2}\\b|' +
+            '\\b[A-CEGHJ-PR-TW-Z]{2} ?\\d{2} ?\\d{2} ?\\d{2} ?[A-D]\\b|\\b[12] ?\\d{2} ?\\d{2} ?\\d{2} ?\\d{3} ?\\d{3} ?\\d{2}\\b' },
+        { kind: 'phone', keep: 3, source: '(?:\\+|\\b0)\\d[\\d ()./-]{6,}\\d\\b|\\(\\d{2,4}\\) ?\\d{3}[ -]?\\d{4}\\b' }
+    ];
+    const PII_REGEX = new RegExp(PII_PATTERNS.map(p => `(${p.source})`).join('|'), 'g');
+    const DATE_LIKE = /^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/;
+
+    // Column headers that usually hold people's names
+    const NAME_HEADER = /^(?:(?:first|last|full|given|family|middle|maiden|sur|display|contact|customer|employee|client|person)[\s_-]*)?name$|^surname$|^(?:voornaam|achternaam|naam|prénom|prenom|nom|vorname|nachname|nombre|apellidos?)$/i;
+
+    const WORD = /[\p{L}\p{N}]+/gu;
+
+    function maskHash(text) {
+        let h = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 16777619);
         }
+        return h >>> 0 || 1;
     }
 
-    // ── API communication ─────────────────────────────────────
-    var CLIENT_TIMEOUT_MS = 280000; // 90s — under nginx's 120s for clean errors
+    // Same shape as `word`, derived from it with the session key
+    function pseudonymWord(word) {
+        let seed = maskHash(MASK_SESSION_KEY + word);
+        const next = (n) => {
+            seed ^= seed << 13; seed ^= seed >>> 17; seed ^= seed << 5;
+            return (seed >>> 0) % n;
+        };
+        let out = '';
+        for (const ch of word) {
+            if (/\p{N}/u.test(ch)) out += String(next(10));
+            else if (!/\p{L}/u.test(ch)) out += ch;
+            else if (ch !== ch.toLowerCase()) out += String.fromCharCode(65 + next(26));
+            else out += String.fromCharCode(97 + next(26));
+        }
+        return out;
+    }
 
-    async function apiCall(endpoint, body, externalSignal) {
-        var url = PROXY_URL + endpoint;
+    function pseudonymText(text, keepPrefix) {
+        return text.slice(0, keepPrefix) + text.slice(keepPrefix).replace(WORD, pseudonymWord);
+    }
 
-        // Set up timeout + optional external abort
-        var controller = new AbortController();
-        var wasTimeout = false;
-        var timeoutId = setTimeout(function() {
-            wasTimeout = true;
-            controller.abort();
-        }, CLIENT_TIMEOUT_MS);
+    function isSensitiveHeader(name) {
+        const key = String(name ?? '').trim().toLowerCase();
+        if (Object.prototype.hasOwnProperty.call(state.sensitiveColumns, key)) return state.sensitiveColumns[key];
+        return NAME_HEADER.test(key);
+    }
 
-        // If caller provided an external signal, forward its abort
-        if (externalSignal) {
-            if (externalSignal.aborted) {
-                clearTimeout(timeoutId);
-                throw new Error('Request was cancelled.');
-            }
-            externalSignal.addEventListener('abort', function() {
-                clearTimeout(timeoutId);
-                controller.abort();
+    // Words that occur in sensitive columns, so they are also masked where they
+    // turn up elsewhere (e.g. a first name in the Output Example)
+    const sensitiveWordCache = new WeakMap();
+
+    function sensitiveWords(data) {
+        const columns = (data[0] || []).map((h, c) => isSensitiveHeader(h) ? c : -1).filter(c => c !== -1);
+        const key = columns.join(',');
+        const cached = sensitiveWordCache.get(data);
+        if (cached && cached.key === key) return cached.words;
+
+        const words = new Set();
+        for (let r = 1; r < data.length; r++) {
+            columns.forEach(c => {
+                const value = data[r][c];
+                if (isBlank(value)) return;
+                (formatCellText(value).match(WORD) || []).forEach(w => {
+                    // Short words and small numbers are too common to mask everywhere
+                    if (/\p{L}/u.test(w) ? w.length > 1 : w.length >= 4) words.add(w);
+                });
             });
         }
+        sensitiveWordCache.set(data, { key, words });
+        return words;
+    }
 
-        try {
-            var response = await fetch(url, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(body),
-                signal: controller.signal
-            });
+    // One masker per prompt build. `sources` are the captured tables whose
+    // sensitive columns seed the word list.
+    function createMasker(sources) {
+        const words = new Set();
+        sources.forEach(data => { if (data) sensitiveWords(data).forEach(w => words.add(w)); });
+        const report = new Map();   // original → { kind, placeholder }
 
-            clearTimeout(timeoutId);
+        function record(original, placeholder, kind) {
+            if (original !== placeholder && !report.has(original)) report.set(original, { kind, placeholder });
+            return placeholder;
+        }
 
-            var data = await safeJsonParse(response);
-            if (!data.success) {
-                var status = data.status || response.status;
-                if (status === 429) throw new Error('Rate limited. Please wait a moment and try again.');
-                if (status >= 500) throw new Error('AI service error. Try again later.');
-                throw new Error(data.error || 'Unknown error from proxy.');
-            }
-            return data;
-        } catch (e) {
-            clearTimeout(timeoutId);
-            if (e.name === 'AbortError') {
-                if (wasTimeout) {
-                    throw new Error('Request timed out. The AI took too long to respond.');
+        function maskText(text) {
+            const detected = text.replace(PII_REGEX, (match, ...groups) => {
+                const index = groups.findIndex((g, i) => i < PII_PATTERNS.length && g !== undefined);
+                const pattern = PII_PATTERNS[index];
+                if (pattern.kind === 'phone') {
+                    const digits = match.replace(/\D/g, '').length;
+                    if (digits < 8 || digits > 15 || DATE_LIKE.test(match)) return match;
                 }
-                throw new Error('Request was cancelled.');
+                return record(match, pseudonymText(match, pattern.keep), pattern.kind);
+            });
+            if (!words.size) return detected;
+            return detected.replace(WORD, w => words.has(w) ? record(w, pseudonymWord(w), 'sensitive value') : w);
+        }
+
+        function maskCell(value, sensitive) {
+            if (isBlank(value) || typeof value === 'boolean') return value;
+            if (!sensitive) {
+                if (typeof value === 'string') return maskText(value);
+                // National ID numbers are often stored as numbers
+                const text = String(value);
+                const masked = maskText(text);
+                return masked === text ? value : masked;
             }
-            throw e;
+
+            const kind = 'sensitive column';
+            if (typeof value === 'number') {
+                const masked = Number(pseudonymText(String(value), value < 0 ? 1 : 0));
+                return record(String(value), masked, kind);
+            }
+            const text = formatCellText(value);
+            return record(text, pseudonymText(text, 0), kind);
         }
+
+        return {
+            isSensitive: isSensitiveHeader,
+            maskText,
+            maskCell,
+            masked: () => [...report.entries()].map(([original, m]) => ({ original, kind: m.kind, placeholder: String(m.placeholder) }))
+        };
     }
 
-    // ── Excel helpers ─────────────────────────────────────────
-    async function getSheetNames() {
-        return Excel.run(async (context) => {
-            const sheets = context.workbook.worksheets;
-            sheets.load('items/name');
-            await context.sync();
-            return sheets.items.map(s => s.name);
-        });
+    function maskPromptText(text, trim) {
+        return trim && trim.mask ? trim.mask.maskText(String(text)) : text;
     }
 
-    async function readSelection() {
-        return Excel.run(async (context) => {
-            const range = context.workbook.getSelectedRange();
-            range.load('values, rowCount, columnCount');
-            await context.sync();
-            return { values: range.values, rows: range.rowCount, cols: range.columnCount };
+    function renderMaskReport(masked) {
+        if (!masked) return '';
+        if (!masked.length) return '<div class="masked-values">Privacy mode: no personal data detected in the prompt.</div>';
+        const rows = masked.slice(0, MASK_REPORT_LIMIT).map(m =>
+            `<tr><td>${escapeHtml(m.kind)}</td><td>${escapeHtml(m.original)}</td><td>${escapeHtml(m.placeholder)}</td></tr>`
+        ).join('');
+        const more = masked.length > MASK_REPORT_LIMIT
+            ? `<div class="empty-state">...and ${(masked.length - MASK_REPORT_LIMIT).toLocaleString()} more</div>` : '';
+        return `<details class="masked-values"><summary>Privacy mode: ${masked.length.toLocaleString()} values masked before sending</summary>` +
+            `<table><thead><tr><th>Kind</th><th>Value</th><th>Sent as</th></tr></thead><tbody>${rows}</tbody></table>${more}</details>`;
+    }
+
+    // ── Prompt construction ───────────────────────────────────
+    // The proxy owns the prompt wording (versioned templates in
+    // proxy/templates/). The pane sends what they are filled with: the data
+    // sample, trimmed and masked here, plus rules, code and script language.
+    // Each builder returns a user turn: { role: 'user', template, fields }.
+    const SAMPLE_SIZE = 50;
+
+    // Additional input tables (joins / lookups) are passed to the function as a
+    // third argument: tables[name] = { header, rows }
+    const TABLE_SAMPLE_SIZE = 20;
+
+    function templateTurn(template, fields) {
+        return { role: 'user', template, fields };
+    }
+
+    function tableNames(tables) {
+        return (tables || []).map(t => t.name);
+    }
+
+    function tableFields(tables, trim) {
+        return (tables || []).map(t => {
+            const total = t.data.length - 1;
+            const sample = representativeSample(t.data, (trim && trim.tableSampleSize) || TABLE_SAMPLE_SIZE);
+            if (trim && trim.tableSampleSize && total > trim.tableSampleSize) trim.cut.tables = true;
+            return { name: t.name, source: t.address || 'unknown', totalRows: total, sampleRows: sample.length - 1, csv: arrayToCsv(trimRows(sample, trim, null)) };
         });
     }
 
-    async function readSheet(sheetName) {
+    // The input sample, its column profile and the additional tables
+    function sampleFields(inputData, outputExample, rules, tables, columnTypes, trim) {
+        const sample = promptSample(inputData, outputExample, rules, trim);
+        return {
+            inputSample: arrayToCsv(sample.rows),
+            totalRows: inputData.length - 1,
+            sampleRows: sample.rows.length - 1,
+            hiddenColumns: !!(sample.hidden && sample.hidden.size),
+            inputProfile: describeColumnProfile(inputData, columnTypes && columnTypes.input, trim && trim.maxCellChars, trim && trim.mask),
+            tables: tableFields(tables, trim)
+        };
+    }
+
+    function exampleFields(outputExample, columnTypes, trim) {
+        const types = columnTypes && columnTypes.output;
+        return {
+            outputExample: arrayToCsv(promptExample(outputExample, trim)),
+            outputTypes: types && types.length ? describeColumnTypes(types) : ''
+        };
+    }
+
+    // scriptLanguage is the #script-language value: 'VBA' or 'OfficeScripts'
+    function buildTransformTurn(inputData, outputExample, rules, previousScript, scriptLanguage, tables, columnTypes, trim) {
+        return templateTurn('transform', Object.assign(
+            { scriptLanguage, tableNames: tableNames(tables), rules: rules || '', previousScript: previousScript || '' },
+            sampleFields(inputData, outputExample, rules, tables, columnTypes, trim),
+            exampleFields(outputExample, columnTypes, trim)
+        ));
+    }
+
+    function buildFixTurn(inputData, outputExample, failedFunction, errorMessage, scriptLanguage, tables, columnTypes, trim) {
+        return templateTurn('fix', Object.assign(
+            { scriptLanguage, tableNames: tableNames(tables), currentFunction: failedFunction, error: maskPromptText(errorMessage, trim) },
+            sampleFields(inputData, outputExample, null, tables, columnTypes, trim),
+            exampleFields(outputExample, null, trim)
+        ));
+    }
+
+    function buildVerifyFixTurn(inputData, outputExample, currentFunction, verification, scriptLanguage, tables, columnTypes, trim) {
+        const details = describeVerification(verification).map(line => maskPromptText(line, trim)).join('\n');
+        return templateTurn('fix', Object.assign(
+            {
+                scriptLanguage,
+                tableNames: tableNames(tables),
+                currentFunction,
+                verification: { matchScore: formatMatchScore(verification), details }
+            },
+            sampleFields(inputData, outputExample, null, tables, columnTypes, trim),
+            exampleFields(outputExample, columnTypes, trim)
+        ));
+    }
+
+    function buildRefineTurn(instruction, currentFunction, inputData, scriptLanguage, tables, trim) {
+        // Without earlier turns (e.g. a re-applied recipe) the AI also needs the data
+        const context = inputData ? sampleFields(inputData, null, null, tables, null, trim) : {};
+        return templateTurn('refine', Object.assign(
+            { scriptLanguage, tableNames: tableNames(tables), currentFunction, instruction },
+            context
+        ));
+    }
+
+    // ── Refinement versions ───────────────────────────────────
+    // Every transform result is a version; follow-up refinements add new ones.
+    // Each version keeps the conversation that produced it, so reverting and
+    // refining again continues from that point.
+    // `masked` records whether the conversation was sent with privacy masking
+    function resetVersions(result, verification, conversation, masked) {
+        state.versions = [];
+        addVersion(result, verification, 'Initial transform', conversation, masked);
+    }
+
+    function addVersion(result, verification, label, conversation, masked) {
+        state.versions.push({ result, verification, label, conversation, masked: !!masked });
+        state.activeVersion = state.versions.length - 1;
+        state.conversation = conversation.slice();
+        state.conversationMasked = !!masked;
+        renderVersionList();
+    }
+
+    function compareVersions(older, newer) {
+        const a = older.result.transformedData;
+        const b = newer.result.transformedData;
+        const aHeader = getHeaderSignature(a);
+        const bHeader = getHeaderSignature(b);
+        const lines = [];
+
+        const added = bHeader.filter(h => !aHeader.includes(h));
+        const removed = aHeader.filter(h => !bHeader.includes(h));
+        if (added.length) lines.push('Columns added: ' + added.join(', '));
+        if (removed.length) lines.push('Columns removed: ' + removed.join(', '));
+        if (!added.length && !removed.length && aHeader.join('\u0001') !== bHeader.join('\u0001')) {
+            lines.push('Columns reordered');
+        }
+        if (a.length !== b.length) {
+            lines.push(`Rows: ${(a.length - 1).toLocaleString()} → ${(b.length - 1).toLocaleString()}`);
+        }
+
+        // Changed cells in the columns both versions share, row by row
+        const changedByColumn = new Map();
+        const rows = Math.min(a.length, b.length);
+        bHeader.forEach((name, bi) => {
+            const ai = aHeader.indexOf(name);
+            if (ai === -1) return;
+            let changed = 0;
+            for (let r = 1; r < rows; r++) {
+                if (!cellsEqual(a[r][ai], b[r][bi])) changed++;
+            }
+            if (changed) changedByColumn.set(name, changed);
+        });
+        changedByColumn.forEach((count, name) => {
+            lines.push(`Column "${name}": ${count.toLocaleString()} cells changed`);
+        });
+
+        if (!lines.length) lines.push('No differences in the output.');
+        return lines;
+    }
+
+    // ── AI response parsing ───────────────────────────────────
+    // The proxy enforces the { explanation, jsTransform, script } schema and
+    // returns the result as plain JSON, so anything else is a real error.
+    function parseTransformResponse(raw) {
+        var parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch (e) {
+            throw new Error('The AI response is not valid JSON (' + e.message + ').');
+        }
+        if (!parsed || typeof parsed.jsTransform !== 'string' || typeof parsed.script !== 'string') {
+            throw new Error('Invalid response structure: missing jsTransform function or script string.');
+        }
+        return parsed;
+    }
+
+    // ── Local JS execution engine ────────────────────────────
+    // The AI-generated function runs in a dedicated Web Worker (see
+    // transform-worker.js) so it cannot freeze the pane or reach the
+    // network, DOM or localStorage. The worker lives in a hidden iframe
+    // sandboxed to an opaque origin, started from a blob URL so it inherits
+    // the iframe's Content-Security-Policy: no connections and no script
+    // loads (GitHub Pages can't send that policy as a header for the worker
+    // file itself). The iframe only relays messages between the pane and the
+    // worker. Removing it ends the worker, on timeout, cancel or completion.
+    const WORKER_URL = 'transform-worker.js';
+    const MAX_RESULT_CELLS = 5000000;
+    const RESULT_CHUNK_ROWS = 10000;
+
+    const SANDBOX_CSP = "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval'; worker-src blob:";
+    const SANDBOX_HTML = '<!DOCTYPE html><html><head>' +
+        '<meta http-equiv="Content-Security-Policy" content="' + SANDBOX_CSP + '">' +
+        '<script>(' + function() {
+            window.onmessage = function(e) {
+                if (e.source !== parent || !e.data || e.data.type !== 'start') return;
+                var worker;
+                try {
+                    worker = new Worker(URL.createObjectURL(new Blob([e.data.workerSource], { type: 'text/javascript' })));
+                } catch (err) {
+                    parent.postMessage({ type: 'error', message: 'Could not start the transform worker: ' + err.message }, '*');
+                    return;
+                }
+                worker.onmessage = function(ev) { parent.postMessage(ev.data, '*'); };
+                worker.onerror = function(ev) {
+                    ev.preventDefault();
+                    parent.postMessage({ type: 'crash', message: ev.message || '' }, '*');
+                };
+                worker.onmessageerror = function() { parent.postMessage({ type: 'messageerror' }, '*'); };
+                worker.postMessage(e.data.run);
+            };
+        }.toString() + ')();</script></head></html>';
+
+    // Source of transform-worker.js, fetched once; the sandbox cannot load it itself
+    let workerSourcePromise = null;
+
+    function loadWorkerSource() {
+        if (!workerSourcePromise) {
+            workerSourcePromise = fetch(WORKER_URL).then(function(response) {
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+                return response.text();
+            });
+            workerSourcePromise.catch(function() { workerSourcePromise = null; });
+        }
+        return workerSourcePromise;
+    }
+
+    // Shape the additional inputs the way the transform receives them
+    function toTablesArgument(tables) {
+        const arg = {};
+        (tables || []).forEach(t => {
+            arg[t.name] = { header: t.data[0], rows: t.data.slice(1) };
+        });
+        return arg;
+    }
+
+    function executeJsTransform(jsTransformSource, fullData, options) {
+        options = options || {};
+        var signal = options.signal;
+        var timeoutMs = options.timeoutMs || getExecTimeoutSeconds() * 1000;
+        var onProgress = options.onProgress || function() {};
+
+        return new Promise(function(resolve, reject) {
+            if (signal && signal.aborted) {
+                reject(new Error('Transform was cancelled.'));
+                return;
+            }
+
+            var sandbox = document.createElement('iframe');
+            sandbox.setAttribute('sandbox', 'allow-scripts');
+            sandbox.style.display = 'none';
+
+            var resultRows = [];
+            var numberFormats = null;
+            var settled = false;
+
+            function finish(err, value) {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timeoutId);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                window.removeEventListener('message', onMessage);
+                sandbox.remove();
+                if (err) reject(err); else resolve(value);
+            }
+
+            function onAbort() {
+                finish(new Error('Transform was cancelled.'));
+            }
+
+            var timeoutId = setTimeout(function() {
+                finish(new Error('Transform timed out after ' + Math.round(timeoutMs / 1000) + 's on ' +
+                    (fullData.length - 1) + ' rows. The function may contain an infinite loop or be too slow.'));
+            }, timeoutMs);
+
+            if (signal) signal.addEventListener('abort', onAbort);
+
+            function onMessage(e) {
+                if (e.source !== sandbox.contentWindow || !e.data) return;
+                var msg = e.data;
+                if (msg.type === 'progress') {
+                    onProgress(msg);
+                } else if (msg.type === 'chunk') {
+                    for (var i = 0; i < msg.rows.length; i++) resultRows.push(msg.rows[i]);
+                } else if (msg.type === 'done') {
+                    numberFormats = msg.numberFormats || null;
+                    finish(null, { data: resultRows, numberFormats: numberFormats });
+                } else if (msg.type === 'error') {
+                    finish(new Error(msg.message));
+                } else if (msg.type === 'crash') {
+                    finish(new Error('Transform worker crashed' + (msg.message ? ': ' + msg.message : ' (possibly out of memory).')));
+                } else if (msg.type === 'messageerror') {
+                    finish(new Error('Transform result could not be transferred from the worker.'));
+                }
+            }
+            window.addEventListener('message', onMessage);
+
+            loadWorkerSource().then(function(workerSource) {
+                if (settled) return;
+                sandbox.onload = function() {
+                    // Structured clone copies the data, so the AI code cannot mutate state
+                    sandbox.contentWindow.postMessage({
+                        type: 'start',
+                        workerSource: workerSource,
+                        run: {
+                            type: 'run',
+                            source: jsTransformSource,
+                            header: fullData[0],
+                            rows: fullData.slice(1),
+                            tables: toTablesArgument(options.tables),
+                            maxCells: MAX_RESULT_CELLS,
+                            chunkRows: RESULT_CHUNK_ROWS
+                        }
+                    }, '*');
+                };
+                sandbox.srcdoc = SANDBOX_HTML;
+                document.body.appendChild(sandbox);
+            }, function(e) {
+                finish(new Error('Could not start the transform worker: ' + e.message));
+            });
+        });
+    }
+
+    // ── Output verification ──────────────────────────────────
+    // Lines up each Output Example row with the output row that matches it
+    // best and compares them cell by cell. Columns are mapped by header name
+    // so a reordered column is reported once (in the header) rather than on
+    // every row.
+    const VERIFY_SCAN_LIMIT = 20000;   // output rows searched when aligning
+    const VERIFY_REPORT_LIMIT = 20;    // mismatches kept for the UI / repair prompt
+
+    function normalizeCell(value) {
+        if (value == null) return '';
+        if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+        if (typeof value === 'number') return value;
+        if (isDate(value)) return formatCellText(value);
+        const str = String(value).trim();
+        if (str !== '' && !isNaN(Number(str))) return Number(str);
+        if (/^(true|false)$/i.test(str)) return str.toUpperCase();
+        return str;
+    }
+
+    function cellsEqual(a, b) {
+        const x = normalizeCell(a);
+        const y = normalizeCell(b);
+        if (typeof x === 'number' && typeof y === 'number') {
+            return Math.abs(x - y) <= 1e-9 * Math.max(1, Math.abs(x), Math.abs(y));
+        }
+        return x === y;
+    }
+
+    function verifyTransformOutput(result, outputExample) {
+        const expectedHeader = outputExample[0] || [];
+        const actualHeader = result[0] || [];
+        const headerIndex = new Map();
+        actualHeader.forEach((name, i) => {
+            const key = String(name ?? '').trim().toLowerCase();
+            if (!headerIndex.has(key)) headerIndex.set(key, i);
+        });
+
+        // Map each expected column to an output column: by name, else by position
+        const colMap = expectedHeader.map((name, c) => {
+            const key = String(name ?? '').trim().toLowerCase();
+            if (headerIndex.has(key)) return headerIndex.get(key);
+            return c < actualHeader.length ? c : -1;
+        });
+
+        // Classify columns for the diff view: an expected column with no header of
+        // that name is renamed when its position holds an otherwise unclaimed
+        // column, else missing; unclaimed result columns are extra.
+        const nameMatched = expectedHeader.map(name => headerIndex.has(String(name ?? '').trim().toLowerCase()));
+        const claimed = new Set(colMap.filter((i, c) => nameMatched[c]));
+        const renamedColumns = [];
+        const missingColumns = [];
+        expectedHeader.forEach((name, c) => {
+            if (nameMatched[c]) return;
+            if (colMap[c] >= 0 && !claimed.has(colMap[c])) renamedColumns.push(c);
+            else missingColumns.push(c);
+        });
+        renamedColumns.forEach(c => claimed.add(colMap[c]));
+        const extraColumns = [];
+        actualHeader.forEach((name, i) => {
+            if (!claimed.has(i)) extraColumns.push(i);
+        });
+        const reordered = expectedHeader.some((name, c) => nameMatched[c] && colMap[c] !== c);
+
+        let matchedCells = 0;
+        let totalCells = 0;
+        const headerMismatches = [];
+        const mismatches = [];
+        const unmatchedRows = [];
+        const alignments = [-1];                         // example row -> result row, -1 when unmatched
+        const columnDiffs = expectedHeader.map(() => 0); // example rows differing per expected column
+        let mismatchCount = 0;
+
+        expectedHeader.forEach((name, c) => {
+            totalCells++;
+            if (cellsEqual(name, actualHeader[c])) {
+                matchedCells++;
+            } else {
+                headerMismatches.push({ column: c, expected: name, actual: actualHeader[c] ?? null });
+            }
+        });
+
+        const project = (row) => colMap.map(i => (i < 0 ? undefined : row[i]));
+        const rowKey = (cells) => cells.map(v => String(normalizeCell(v))).join('\u0001');
+
+        // Exact matches first, via a key index over the output rows
+        const scanEnd = Math.min(result.length, VERIFY_SCAN_LIMIT + 1);
+        const keyIndex = new Map();
+        for (let r = 1; r < scanEnd; r++) {
+            const key = rowKey(project(result[r] || []));
+            if (!keyIndex.has(key)) keyIndex.set(key, []);
+            keyIndex.get(key).push(r);
+        }
+
+        const used = new Set();
+        for (let e = 1; e < outputExample.length; e++) {
+            const expectedRow = outputExample[e];
+            const cols = expectedHeader.length;
+            totalCells += cols;
+
+            let aligned = -1;
+            const exact = keyIndex.get(rowKey(expectedRow.slice(0, cols)));
+            if (exact) aligned = exact.find(r => !used.has(r)) ?? -1;
+
+            // Otherwise take the unused output row sharing the most cells
+            if (aligned === -1) {
+                let bestScore = 0;
+                for (let r = 1; r < scanEnd; r++) {
+                    if (used.has(r)) continue;
+                    const cells = project(result[r] || []);
+                    let score = 0;
+                    for (let c = 0; c < cols; c++) {
+                        if (cellsEqual(expectedRow[c], cells[c])) score++;
+                    }
+                    if (score > bestScore) {
+                        bestScore = score;
+                        aligned = r;
+                    }
+                }
+            }
+
+            alignments.push(aligned);
+            if (aligned === -1) {
+                unmatchedRows.push(e);
+                continue;
+            }
+
+            used.add(aligned);
+            const cells = project(result[aligned] || []);
+            for (let c = 0; c < cols; c++) {
+                if (cellsEqual(expectedRow[c], cells[c])) {
+                    matchedCells++;
+                } else {
+                    mismatchCount++;
+                    columnDiffs[c]++;
+                    if (mismatches.length < VERIFY_REPORT_LIMIT) {
+                        mismatches.push({
+                            exampleRow: e,
+                            resultRow: aligned,
+                            column: String(expectedHeader[c] ?? 'Column ' + (c + 1)),
+                            expected: expectedRow[c] ?? null,
+                            actual: cells[c] ?? null
+                        });
+                    }
+                }
+            }
+        }
+
+        return {
+            passed: matchedCells === totalCells,
+            score: totalCells ? matchedCells / totalCells : 1,
+            matchedCells,
+            totalCells,
+            headerMismatches,
+            mismatches,
+            mismatchCount,
+            unmatchedRows,
+            // Alignment for the diff view
+            example: outputExample,
+            exampleRows: Math.max(0, outputExample.length - 1),
+            columnMap: colMap,
+            alignments,
+            columnDiffs,
+            renamedColumns,
+            missingColumns,
+            extraColumns,
+            reordered
+        };
+    }
+
+    function formatMatchScore(report) {
+        return Math.floor(report.score * 100) + '% (' + report.matchedCells + ' of ' +
+            report.totalCells + ' example cells match)';
+    }
+
+    function describeVerification(report) {
+        const lines = [];
+        report.headerMismatches.forEach(h => {
+            lines.push(`Header column ${h.column + 1}: expected ${JSON.stringify(h.expected)}, got ${JSON.stringify(h.actual)}`);
+        });
+        report.unmatchedRows.forEach(e => {
+            lines.push(`Example row ${e}: no matching output row found`);
+        });
+        report.mismatches.forEach(m => {
+            lines.push(`Example row ${m.exampleRow} (output row ${m.resultRow}), column "${m.column}": ` +
+                `expected ${JSON.stringify(m.expected)}, got ${JSON.stringify(m.actual)}`);
+        });
+        const hidden = report.mismatchCount - report.mismatches.length;
+        if (hidden > 0) lines.push(`...and ${hidden} more mismatched cells`);
+        return lines;
+    }
+
+    // One line per problem, for people rather than the repair prompt:
+    // "3 of 12 example rows differ in column Date"
+    function summarizeVerification(report, resultHeader) {
+        const lines = [];
+        const total = report.exampleRows;
+        const rows = (n, one, many) => `${n} of ${total} example row${total === 1 ? '' : 's'} ${n === 1 ? one : many}`;
+
+        const expectedHeader = report.example[0] || [];
+        const expectedName = (c) => JSON.stringify(String(expectedHeader[c] ?? 'Column ' + (c + 1)));
+        const resultName = (i) => JSON.stringify(String(resultHeader[i] ?? 'Column ' + (i + 1)));
+
+        if (report.missingColumns.length) {
+            lines.push('Missing from the result: ' + report.missingColumns.map(expectedName).join(', '));
+        }
+        if (report.extraColumns.length) {
+            lines.push('Not in the Output Example: ' + report.extraColumns.map(resultName).join(', '));
+        }
+        report.renamedColumns.forEach(c => {
+            lines.push(`Column ${expectedName(c)} is headed ${resultName(report.columnMap[c])} in the result`);
+        });
+        if (report.reordered) lines.push('Columns are in a different order than in the Output Example');
+        if (report.unmatchedRows.length) {
+            lines.push(`${rows(report.unmatchedRows.length, 'has', 'have')} no matching output row`);
+        }
+        const missing = new Set(report.missingColumns);
+        expectedHeader.forEach((name, c) => {
+            const n = report.columnDiffs[c];
+            if (n && !missing.has(c)) lines.push(`${rows(n, 'differs', 'differ')} in column ${String(name ?? 'Column ' + (c + 1))}`);
+        });
+        return lines;
+    }
+
+    // ── Safe response parsing ──────────────────────────────────
+    async function safeJsonParse(response) {
+        const text = await response.text();
+        try {
+            return JSON.parse(text);
+        } catch {
+            // Likely an HTML error page from nginx or a misconfigured proxy URL
+            if (text.trimStart().startsWith('<')) {
+                throw new Error(
+                    `Proxy returned an error page (HTTP ${response.status}). ` +
+                    'Check that the Proxy URL is correct and the proxy service is running.'
+                );
+            }
+            throw new Error(`Unexpected response from proxy (HTTP ${response.status}).`);
+        }
+    }
+
+    // ── API communication ─────────────────────────────────────
+    var REQUEST_TIMEOUT_MS = 30000;     // single proxy round-trip — well under nginx's 120s
+    var JOB_TIMEOUT_MS = 280000;        // total wait for an AI response, under the proxy's job timeout
+    var JOB_POLL_INTERVAL_MS = 1500;
+
+    function proxyErrorMessage(data, httpStatus) {
+        var status = data.status || httpStatus;
+        // Daily token caps explain themselves; plain rate limiting gets the generic message
+        if (status === 429) return data.error || 'Rate limited. Please wait a moment and try again.';
+        // The proxy has already retried and failed over; say what went wrong
+        if (status >= 500) return 'AI service error' + (data.error ? ': ' + data.error : '. Try again later.');
+        return data.error || 'Unknown error from proxy.';
+    }
+
+    // Error for a failed proxy response, keeping its code (e.g. "output_truncated")
+    // and the maxTokens that ran out, so callers can recover. The message ends
+    // with the proxy's request id (a failed job's own, else the response's
+    // X-Request-Id), which matches the proxy's log entries for the request.
+    function proxyError(data, httpStatus, response) {
+        var requestId = data.requestId || (response && response.headers.get('X-Request-Id')) || null;
+        var err = new Error(proxyErrorMessage(data, httpStatus) + (requestId ? ' (request ID: ' + requestId + ')' : ''));
+        err.code = data.code || null;
+        err.maxTokens = data.maxTokens || null;
+        err.requestId = requestId;
+        return err;
+    }
+
+    // The access token, on every request to a proxy that requires one
+    function authHeaders() {
+        var token = getAccessToken();
+        return token ? { 'Authorization': 'Bearer ' + token } : {};
+    }
+
+    // The proxy refused the access token (missing, revoked or expired)
+    function isAuthError(err) {
+        return err.code === 'auth_required' || err.code === 'invalid_token';
+    }
+
+    // Headers for a request with a JSON body. Those are the requests that reach
+    // the AI provider, so they also carry the user's own key, if any.
+    function jsonHeaders() {
+        var headers = Object.assign({ 'Content-Type': 'application/json' }, authHeaders());
+        var apiKey = getApiKey();
+        if (apiKey) headers['X-Provider-Key'] = apiKey;
+        return headers;
+    }
+
+    async function apiCall(endpoint, body, externalSignal, method) {
+        var url = PROXY_URL + endpoint;
+
+        // Set up timeout + optional external abort
+        var controller = new AbortController();
+        var wasTimeout = false;
+        var timeoutId = setTimeout(function() {
+            wasTimeout = true;
+            controller.abort();
+        }, REQUEST_TIMEOUT_MS);
+
+        // If caller provided an external signal, forward its abort
+        var onExternalAbort = function() {
+            clearTimeout(timeoutId);
+            controller.abort();
+        };
+        if (externalSignal) {
+            if (externalSignal.aborted) {
+                clearTimeout(timeoutId);
+                throw new Error('Request was cancelled.');
+            }
+            externalSignal.addEventListener('abort', onExternalAbort);
+        }
+
+        try {
+            var options = { method: method || 'POST', signal: controller.signal, headers: authHeaders() };
+            if (body) {
+                options.headers = jsonHeaders();
+                options.body = JSON.stringify(body);
+            }
+            var response = await fetch(url, options);
+
+            clearTimeout(timeoutId);
+
+            var data = await safeJsonParse(response);
+            if (!data.success) {
+                throw proxyError(data, response.status, response);
+            }
+            return data;
+        } catch (e) {
+            clearTimeout(timeoutId);
+            if (e.name === 'AbortError') {
+                if (wasTimeout) {
+                    throw new Error('Request timed out. The proxy did not respond.');
+                }
+                throw new Error('Request was cancelled.');
+            }
+            throw e;
+        } finally {
+            if (externalSignal) externalSignal.removeEventListener('abort', onExternalAbort);
+        }
+    }
+
+    function sleep(ms, signal) {
+        return new Promise(function(resolve, reject) {
+            var timeoutId = setTimeout(function() {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            function onAbort() {
+                clearTimeout(timeoutId);
+                reject(new Error('Request was cancelled.'));
+            }
+            if (signal) {
+                if (signal.aborted) return onAbort();
+                signal.addEventListener('abort', onAbort);
+            }
+        });
+    }
+
+    // Submits an AI request as a proxy job and polls until it finishes.
+    // Cancelling (or timing out) deletes the job so the proxy aborts the
+    // upstream AI call instead of letting it run to completion.
+    async function runAiJob(body, externalSignal, onProgress) {
+        var job = await apiCall('/api/transform', body, externalSignal);
+        var jobPath = '/api/jobs/' + encodeURIComponent(job.jobId);
+        var started = Date.now();
+
+        var cancelJob = function() {
+            fetch(PROXY_URL + jobPath, { method: 'DELETE', headers: authHeaders() }).catch(function() {});
+        };
+        if (externalSignal) externalSignal.addEventListener('abort', cancelJob);
+
+        try {
+            while (true) {
+                if (Date.now() - started > JOB_TIMEOUT_MS) {
+                    cancelJob();
+                    throw new Error('Request timed out. The AI took too long to respond.');
+                }
+                await sleep(JOB_POLL_INTERVAL_MS, externalSignal);
+
+                var status = await apiCall(jobPath, null, externalSignal, 'GET');
+                if (status.state === 'succeeded') return status;
+                if (onProgress) onProgress(status);
+            }
+        } finally {
+            if (externalSignal) externalSignal.removeEventListener('abort', cancelJob);
+        }
+    }
+
+    // Streams an AI response from the proxy as Server-Sent Events over a POST
+    // (EventSource only supports GET). `onText` receives the text assembled so
+    // far. Aborting closes the connection, and the proxy then aborts upstream.
+    async function streamAiResponse(body, externalSignal, onText) {
+        var controller = new AbortController();
+        var wasTimeout = false;
+        var timeoutId = setTimeout(function() {
+            wasTimeout = true;
+            controller.abort();
+        }, JOB_TIMEOUT_MS);
+
+        var onExternalAbort = function() { controller.abort(); };
+        if (externalSignal) {
+            if (externalSignal.aborted) {
+                clearTimeout(timeoutId);
+                throw new Error('Request was cancelled.');
+            }
+            externalSignal.addEventListener('abort', onExternalAbort);
+        }
+
+        try {
+            var response = await fetch(PROXY_URL + '/api/transform/stream', {
+                method: 'POST',
+                headers: jsonHeaders(),
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            // Errors raised before the stream opens come back as plain JSON
+            if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+                var data = await safeJsonParse(response);
+                throw proxyError(data, response.status, response);
+            }
+
+            var reader = response.body.getReader();
+            var decoder = new TextDecoder();
+            var buffer = '';
+            var text = '';
+
+            while (true) {
+                var chunk = await reader.read();
+                if (chunk.done) break;
+                buffer += decoder.decode(chunk.value, { stream: true }).replace(/\r\n?/g, '\n');
+
+                var boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    var event = parseSseEvent(buffer.slice(0, boundary));
+                    buffer = buffer.slice(boundary + 2);
+                    if (!event) continue;
+
+                    if (event.event === 'delta') {
+                        text += event.data.text;
+                        onText(text);
+                    } else if (event.event === 'done') {
+                        return { content: event.data.content, usage: event.data.usage || null, servedBy: event.data.servedBy || null, template: event.data.template || null };
+                    } else if (event.event === 'error') {
+                        throw proxyError(event.data, event.data.status, response);
+                    }
+                }
+            }
+            throw new Error('The AI response stream ended unexpectedly.');
+        } catch (e) {
+            if (e.name === 'AbortError') {
+                if (wasTimeout) {
+                    throw new Error('Request timed out. The AI took too long to respond.');
+                }
+                throw new Error('Request was cancelled.');
+            }
+            throw e;
+        } finally {
+            clearTimeout(timeoutId);
+            if (externalSignal) externalSignal.removeEventListener('abort', onExternalAbort);
+        }
+    }
+
+    function parseSseEvent(raw) {
+        var name = 'message';
+        var data = [];
+        raw.split('\n').forEach(function(line) {
+            if (line.indexOf('event:') === 0) name = line.slice(6).trim();
+            else if (line.indexOf('data:') === 0) data.push(line.slice(5).replace(/^ /, ''));
+        });
+        // Comment-only blocks (keep-alives) carry no data
+        if (!data.length) return null;
+        return { event: name, data: JSON.parse(data.join('\n')) };
+    }
+
+    // Pull the (possibly unfinished) "explanation" string out of a partial JSON response
+    function extractPartialExplanation(text) {
+        var match = /"explanation"\s*:\s*"((?:[^"\\]|\\.)*)/.exec(text);
+        if (!match) return '';
+        var raw = match[1].replace(/\\(u[0-9a-fA-F]{0,3})?$/, ''); // drop a dangling escape
+        try { return JSON.parse('"' + raw + '"'); } catch (_) { return raw; }
+    }
+
+    function estimateTokens(text) {
+        // Rough rule of thumb for English and code: ~4 characters per token
+        return Math.ceil(text.length / 4);
+    }
+
+    // ── Excel helpers ─────────────────────────────────────────
+    async function getSheetNames() {
+        return Excel.run(async (context) => {
+            const sheets = context.workbook.worksheets;
+            sheets.load('items/name');
+            await context.sync();
+            return sheets.items.map(s => s.name);
+        });
+    }
+
+    async function getTableNames() {
+        return Excel.run(async (context) => {
+            const tables = context.workbook.tables;
+            tables.load('items/name');
+            await context.sync();
+            return tables.items.map(t => t.name);
+        });
+    }
+
+    // Workbook-scoped names that refer to a range (not constants or formulas)
+    async function getRangeNames() {
+        return Excel.run(async (context) => {
+            const names = context.workbook.names;
+            names.load('items/name, items/type');
+            await context.sync();
+            return names.items.filter(n => n.type === 'Range').map(n => n.name);
+        });
+    }
+
+    // Large ranges are read and written in row batches, one sync per batch, so
+    // no single request runs into the Office.js payload limit (about 5 MB per
+    // request in Excel on the web). Batch sizes are in cells.
+    const READ_BATCH_CELLS = 50000;    // values, numberFormat and valueTypes per cell
+    const WRITE_BATCH_CELLS = 100000;  // values and numberFormat per cell
+    const RANGE_SHAPE = 'address, rowIndex, columnIndex, rowCount, columnCount';
+
+    function batchRowCount(batchCells, columnCount) {
+        return Math.max(1, Math.floor(batchCells / Math.max(1, columnCount)));
+    }
+
+    function rowSpanMessage(verb, start, end, total) {
+        return `${verb} rows ${(start + 1).toLocaleString()}–${end.toLocaleString()} of ${total.toLocaleString()}...`;
+    }
+
+    // `range` must have RANGE_SHAPE loaded. options: { signal, onProgress(message) }.
+    // The result's `source` records where the data came from, for live links.
+    async function readRangeInBatches(context, range, options) {
+        const signal = options.signal;
+        const onProgress = options.onProgress || (() => {});
+        const step = batchRowCount(READ_BATCH_CELLS, range.columnCount);
+        const result = {
+            values: [], numberFormat: [], valueTypes: [],
+            rows: range.rowCount, cols: range.columnCount, address: range.address
+        };
+        range.worksheet.load('id, name');
+
+        for (let start = 0; start < range.rowCount; start += step) {
+            if (signal && signal.aborted) throw new Error('Reading was cancelled.');
+
+            const end = Math.min(start + step, range.rowCount);
+            if (range.rowCount > step) onProgress(rowSpanMessage('Reading', start, end, range.rowCount));
+
+            const batch = range.worksheet.getRangeByIndexes(range.rowIndex + start, range.columnIndex, end - start, range.columnCount);
+            batch.load('values, numberFormat, valueTypes');
+            await context.sync();
+
+            for (let r = 0; r < batch.values.length; r++) {
+                result.values.push(batch.values[r]);
+                result.numberFormat.push(batch.numberFormat[r]);
+                result.valueTypes.push(batch.valueTypes[r]);
+            }
+        }
+        result.source = {
+            sheetId: range.worksheet.id, sheetName: range.worksheet.name,
+            rowIndex: range.rowIndex, columnIndex: range.columnIndex,
+            rowCount: range.rowCount, columnCount: range.columnCount, wholeSheet: false
+        };
+        return result;
+    }
+
+    // Calculation and screen updates resume on their own at the following sync,
+    // so nothing is left suspended if the pane closes mid-write.
+    function suspendUpdatesUntilNextSync(context) {
+        context.application.suspendApiCalculationUntilNextSync();
+        if (Office.context.requirements.isSetSupported('ExcelApi', '1.9')) {
+            context.application.suspendScreenUpdatingUntilNextSync();
+        }
+    }
+
+    // Writes prepared { values, numberFormat } starting at (rowIndex, columnIndex).
+    // options: { signal, onProgress(message), suspendUpdates, asFormulas }, where
+    // asFormulas writes `values` as formulas (used to restore an undo snapshot).
+    // A cancelled write throws an error carrying `rowsWritten`.
+    async function writeRowsInBatches(context, sheet, rowIndex, columnIndex, prepared, options) {
+        const signal = options.signal;
+        const onProgress = options.onProgress || (() => {});
+        const total = prepared.values.length;
+        const width = prepared.values[0].length;
+        const step = batchRowCount(WRITE_BATCH_CELLS, width);
+
+        for (let start = 0; start < total; start += step) {
+            if (signal && signal.aborted) {
+                const err = new Error('Write was cancelled.');
+                err.rowsWritten = start;
+                throw err;
+            }
+
+            const end = Math.min(start + step, total);
+            if (total > step) onProgress(rowSpanMessage('Writing', start, end, total));
+
+            const batch = sheet.getRangeByIndexes(rowIndex + start, columnIndex, end - start, width);
+            // Formats first, so text-formatted cells keep values like "00123" as text
+            batch.numberFormat = prepared.numberFormat.slice(start, end);
+            if (options.asFormulas) batch.formulas = prepared.values.slice(start, end);
+            else batch.values = prepared.values.slice(start, end);
+            if (options.suspendUpdates) suspendUpdatesUntilNextSync(context);
+            await context.sync();
+        }
+    }
+
+    // Copies the formulas (constants included) and number formats of a block so
+    // a write over it can be undone. Resolves to { sheetId, rowIndex, columnIndex,
+    // formulas, numberFormat, nonEmpty }, nonEmpty counting cells with content.
+    async function snapshotRange(context, sheet, rowIndex, columnIndex, rowCount, columnCount, options) {
+        const onProgress = options.onProgress || (() => {});
+        const step = batchRowCount(READ_BATCH_CELLS, columnCount);
+        sheet.load('id');
+        const snapshot = { sheetId: null, rowIndex, columnIndex, formulas: [], numberFormat: [], nonEmpty: 0 };
+
+        for (let start = 0; start < rowCount; start += step) {
+            if (options.signal && options.signal.aborted) throw new Error('Write was cancelled.');
+
+            const end = Math.min(start + step, rowCount);
+            if (rowCount > step) onProgress(rowSpanMessage('Backing up', start, end, rowCount));
+
+            const batch = sheet.getRangeByIndexes(rowIndex + start, columnIndex, end - start, columnCount);
+            batch.load('formulas, numberFormat');
+            await context.sync();
+
+            for (let r = 0; r < batch.formulas.length; r++) {
+                const row = batch.formulas[r];
+                for (let c = 0; c < row.length; c++) {
+                    if (row[c] !== '' && row[c] !== null) snapshot.nonEmpty++;
+                }
+                snapshot.formulas.push(row);
+                snapshot.numberFormat.push(batch.numberFormat[r]);
+            }
+        }
+        snapshot.sheetId = sheet.id;
+        return snapshot;
+    }
+
+    async function readSelection(options = {}) {
+        return Excel.run(async (context) => {
+            const range = context.workbook.getSelectedRange();
+            range.load(RANGE_SHAPE);
+            await context.sync();
+            return readRangeInBatches(context, range, options);
+        });
+    }
+
+    async function readSheet(sheetName, options = {}) {
+        return Excel.run(async (context) => {
+            const sheet = context.workbook.worksheets.getItem(sheetName);
+            const usedRange = sheet.getUsedRange();
+            usedRange.load(RANGE_SHAPE);
+            await context.sync();
+            const result = await readRangeInBatches(context, usedRange, options);
+            result.source.wholeSheet = true;
+            return result;
+        });
+    }
+
+    async function readActiveSheet(options = {}) {
+        return Excel.run(async (context) => {
+            const sheet = context.workbook.worksheets.getActiveWorksheet();
+            const usedRange = sheet.getUsedRange();
+            usedRange.load(RANGE_SHAPE);
+            await context.sync();
+            const result = await readRangeInBatches(context, usedRange, options);
+            result.source.wholeSheet = true;
+            return result;
+        });
+    }
+
+    function timestampedSheetName() {
+        const now = new Date();
+        const ts = now.getFullYear().toString().slice(2)
+            + String(now.getMonth() + 1).padStart(2, '0')
+            + String(now.getDate()).padStart(2, '0')
+            + '_'
+            + String(now.getHours()).padStart(2, '0')
+            + String(now.getMinutes()).padStart(2, '0')
+            + String(now.getSeconds()).padStart(2, '0');
+        return 'AI_Transform_' + ts;
+    }
+
+    // Excel's naming rules, checked up front so a bad name fails before any
+    // cells are touched. Each returns an error message, or null if the name is valid.
+    function sheetNameError(name) {
+        if (name.length > 31) return 'Sheet names can be at most 31 characters.';
+        if (/[\[\]:*?\/\\]/.test(name)) return 'Sheet names cannot contain [ ] : * ? / or \\.';
+        if (/^'|'$/.test(name)) return 'Sheet names cannot start or end with an apostrophe.';
+        return null;
+    }
+
+    function tableNameError(name) {
+        if (name.length > 255) return 'Table names can be at most 255 characters.';
+        if (!/^[A-Za-z_\\][A-Za-z0-9_.\\]*$/.test(name)) {
+            return 'Table names must start with a letter or underscore and contain only letters, numbers, periods and underscores.';
+        }
+        if (/^[A-Za-z]{1,3}[0-9]+$/.test(name) || /^R\d*C?\d*$/i.test(name) || /^C\d*$/i.test(name)) {
+            return 'Table names cannot look like a cell reference.';
+        }
+        return null;
+    }
+
+    // Tables and defined names share one namespace
+    async function assertTableNameFree(context, name) {
+        const table = context.workbook.tables.getItemOrNullObject(name);
+        const namedItem = context.workbook.names.getItemOrNullObject(name);
+        await context.sync();
+        if (!table.isNullObject || !namedItem.isNullObject) {
+            throw new Error(`The workbook already has a table or name called "${name}".`);
+        }
+    }
+
+    // Turns the freshly written block into a formatted Excel Table
+    async function formatAsTable(context, sheet, rowIndex, columnIndex, prepared, tableName) {
+        const range = sheet.getRangeByIndexes(rowIndex, columnIndex, prepared.values.length, prepared.values[0].length);
+        const table = sheet.tables.add(range, true);
+        table.name = tableName;
+        try {
+            await context.sync();
+        } catch (e) {
+            throw new Error(`The data was written, but could not be formatted as table "${tableName}": ${e.message}`);
+        }
+    }
+
+    // Where a write put its block, so a live link can refresh it in place
+    function outputLocation(sheetId, sheetName, rowIndex, columnIndex, prepared, tableName) {
+        return {
+            sheetId, sheetName, rowIndex, columnIndex,
+            rows: prepared.values.length, cols: prepared.values[0].length,
+            tableName: tableName || null, rangeName: null
+        };
+    }
+
+    function cancelledAfterRows(rowsWritten, total, consequence) {
+        return new Error(`Write was cancelled after ${rowsWritten.toLocaleString()} of ` +
+            `${total.toLocaleString()} rows; ${consequence}`);
+    }
+
+    // options: batching options plus { sheetName, tableName }
+    async function writeToNewSheet(data, columnFormats, options = {}) {
+        const prepared = prepareForWrite(data, columnFormats);
+        return Excel.run(async (context) => {
+            const name = options.sheetName || timestampedSheetName();
+            const existing = context.workbook.worksheets.getItemOrNullObject(name);
+            await context.sync();
+            if (!existing.isNullObject) throw new Error(`A sheet named "${name}" already exists.`);
+            if (options.tableName) await assertTableNameFree(context, options.tableName);
+
+            const newSheet = context.workbook.worksheets.add(name);
+            await context.sync();
+
+            try {
+                await writeRowsInBatches(context, newSheet, 0, 0, prepared, options);
+            } catch (e) {
+                if (e.rowsWritten === undefined) throw e;
+                // Don't leave a half-filled sheet behind
+                newSheet.delete();
+                await context.sync();
+                throw new Error('Write was cancelled. The partially written sheet was removed.');
+            }
+
+            if (options.tableName) await formatAsTable(context, newSheet, 0, 0, prepared, options.tableName);
+            newSheet.activate();
+            newSheet.load('id');
+            await context.sync();
+            options.undo = { kind: 'newSheet', sheetId: newSheet.id, label: `new sheet ${name}` };
+            options.output = outputLocation(newSheet.id, name, 0, 0, prepared, options.tableName);
+            return name;
+        });
+    }
+
+    // Refuses to write over cells that have content unless options.overwrite is
+    // set; the error then carries `overwriteCount` and `address` for the prompt.
+    // options: batching options plus { tableName, overwrite }
+    async function writeToSelection(data, columnFormats, options = {}) {
+        const prepared = prepareForWrite(data, columnFormats);
+        return Excel.run(async (context) => {
+            const range = context.workbook.getSelectedRange();
+            range.load(RANGE_SHAPE);
+            await context.sync();
+            if (options.tableName) await assertTableNameFree(context, options.tableName);
+
+            const rows = prepared.values.length;
+            const cols = prepared.values[0].length;
+            const target = range.worksheet.getRangeByIndexes(range.rowIndex, range.columnIndex, rows, cols);
+            target.load('address');
+            const snapshot = await snapshotRange(context, range.worksheet, range.rowIndex, range.columnIndex, rows, cols, options);
+            if (snapshot.nonEmpty > 0 && !options.overwrite) {
+                const err = new Error(`${snapshot.nonEmpty.toLocaleString()} non-empty cells in ${target.address} would be overwritten.`);
+                err.overwriteCount = snapshot.nonEmpty;
+                err.address = target.address;
+                throw err;
+            }
+            options.undo = {
+                kind: 'range', sheetId: snapshot.sheetId, snapshot,
+                written: { rowIndex: range.rowIndex, columnIndex: range.columnIndex, rows, cols },
+                tableName: options.tableName, label: `write to ${target.address}`
+            };
+
+            try {
+                await writeRowsInBatches(context, range.worksheet, range.rowIndex, range.columnIndex, prepared, options);
+            } catch (e) {
+                if (e.rowsWritten === undefined) throw e;
+                throw cancelledAfterRows(e.rowsWritten, prepared.values.length, 'those rows were already written.');
+            }
+
+            if (options.tableName) {
+                await formatAsTable(context, range.worksheet, range.rowIndex, range.columnIndex, prepared, options.tableName);
+            }
+            options.output = outputLocation(snapshot.sheetId, sheetFromAddress(target.address),
+                range.rowIndex, range.columnIndex, prepared, options.tableName);
+        });
+    }
+
+    // Clears the sheet's values and formulas (formatting stays) and writes from A1.
+    // The sheet itself is kept, so formulas elsewhere that point at it keep working.
+    // options: batching options plus { tableName }
+    async function replaceSheetContents(sheetName, data, columnFormats, options = {}) {
+        const prepared = prepareForWrite(data, columnFormats);
+        return Excel.run(async (context) => {
+            const sheet = context.workbook.worksheets.getItemOrNullObject(sheetName);
+            await context.sync();
+            if (sheet.isNullObject) throw new Error(`Sheet "${sheetName}" no longer exists.`);
+
+            // Writing over a table of a different shape would leave it half-covered
+            sheet.tables.load('items/name');
+            sheet.load('id');
+            await context.sync();
+            if (sheet.tables.items.length) {
+                throw new Error(`Sheet "${sheetName}" contains Excel tables (${sheet.tables.items.map(t => t.name).join(', ')}). ` +
+                    'Use "Append to table" to add rows to a table, or remove the tables first.');
+            }
+            if (options.tableName) await assertTableNameFree(context, options.tableName);
+
+            const used = sheet.getUsedRangeOrNullObject();
+            used.load(RANGE_SHAPE);
+            await context.sync();
+            const snapshot = used.isNullObject
+                ? null
+                : await snapshotRange(context, sheet, used.rowIndex, used.columnIndex, used.rowCount, used.columnCount, options);
+            options.undo = {
+                kind: 'range', sheetId: sheet.id, snapshot,
+                written: { rowIndex: 0, columnIndex: 0, rows: prepared.values.length, cols: prepared.values[0].length },
+                tableName: options.tableName, label: `replacement of sheet ${sheetName}`
+            };
+            if (!used.isNullObject) {
+                used.clear(Excel.ClearApplyTo.contents);
+                await context.sync();
+            }
+
+            try {
+                await writeRowsInBatches(context, sheet, 0, 0, prepared, options);
+            } catch (e) {
+                if (e.rowsWritten === undefined) throw e;
+                throw cancelledAfterRows(e.rowsWritten, prepared.values.length, "the sheet's previous contents were already cleared.");
+            }
+
+            if (options.tableName) await formatAsTable(context, sheet, 0, 0, prepared, options.tableName);
+            sheet.activate();
+            await context.sync();
+            options.output = outputLocation(sheet.id, sheetName, 0, 0, prepared, options.tableName);
+        });
+    }
+
+    // "Sheet1!A1:D10" -> "Sheet1!$A$1:$D$10", so the name doesn't move with the active cell
+    function absoluteAddress(address) {
+        const bang = address.lastIndexOf('!');
+        return address.slice(0, bang + 1) + address.slice(bang + 1).replace(/([A-Z]+)(\d+)/g, '$$$1$$$2');
+    }
+
+    // Clears the named range, writes from its top-left cell and points the name
+    // at the written block, so formulas using the name see every row.
+    async function writeToNamedRange(rangeName, data, columnFormats, options = {}) {
+        const prepared = prepareForWrite(data, columnFormats);
+        return Excel.run(async (context) => {
+            const namedItem = context.workbook.names.getItemOrNullObject(rangeName);
+            namedItem.load('type, formula');
+            await context.sync();
+            if (namedItem.isNullObject) throw new Error(`Named range "${rangeName}" no longer exists.`);
+            if (namedItem.type !== 'Range') throw new Error(`"${rangeName}" does not refer to a range.`);
+
+            const target = namedItem.getRange();
+            target.load(RANGE_SHAPE);
+            await context.sync();
+            const snapshot = await snapshotRange(context, target.worksheet, target.rowIndex, target.columnIndex,
+                target.rowCount, target.columnCount, options);
+            options.undo = {
+                kind: 'range', sheetId: snapshot.sheetId, snapshot,
+                written: { rowIndex: target.rowIndex, columnIndex: target.columnIndex, rows: prepared.values.length, cols: prepared.values[0].length },
+                rangeName, nameFormula: namedItem.formula, label: `write to ${rangeName}`
+            };
+            target.clear(Excel.ClearApplyTo.contents);
+            await context.sync();
+
+            try {
+                await writeRowsInBatches(context, target.worksheet, target.rowIndex, target.columnIndex, prepared, options);
+            } catch (e) {
+                if (e.rowsWritten === undefined) throw e;
+                throw cancelledAfterRows(e.rowsWritten, prepared.values.length, 'the range was cleared and the name still points at its old extent.');
+            }
+
+            const written = target.worksheet.getRangeByIndexes(
+                target.rowIndex, target.columnIndex, prepared.values.length, prepared.values[0].length);
+            written.load('address');
+            await context.sync();
+            namedItem.formula = '=' + absoluteAddress(written.address);
+            await context.sync();
+            options.output = outputLocation(snapshot.sheetId, sheetFromAddress(written.address),
+                target.rowIndex, target.columnIndex, prepared, null);
+            options.output.rangeName = rangeName;
+            return absoluteAddress(written.address);
+        });
+    }
+
+    // Adds the result's data rows to the end of an existing table. Result columns
+    // are matched to table columns by header (case-insensitive); table columns the
+    // result doesn't have are left to the table (blank, or their calculated formula).
+    // Resolves to { rows, skipped } — skipped lists result columns with no match.
+    async function appendToTable(tableName, data, columnFormats, options = {}) {
+        const prepared = prepareForWrite(data, columnFormats);
+        const signal = options.signal;
+        const onProgress = options.onProgress || (() => {});
+
+        return Excel.run(async (context) => {
+            const table = context.workbook.tables.getItemOrNullObject(tableName);
+            await context.sync();
+            if (table.isNullObject) throw new Error(`Table "${tableName}" no longer exists.`);
+
+            const header = table.getHeaderRowRange();
+            header.load('values, columnIndex');
+            const body = table.getDataBodyRange();
+            body.load(RANGE_SHAPE);
+            await context.sync();
+
+            const tableColumns = new Map();
+            header.values[0].forEach((name, i) => tableColumns.set(String(name).trim().toLowerCase(), i));
+            const mapping = prepared.values[0].map(name => {
+                const key = String(name ?? '').trim().toLowerCase();
+                return tableColumns.has(key) ? tableColumns.get(key) : -1;
+            });
+            const skipped = prepared.values[0].filter((name, c) => mapping[c] === -1).map(name => String(name ?? ''));
+            if (skipped.length === mapping.length) {
+                throw new Error(`None of the result's columns match a column of table "${tableName}".`);
+            }
+
+            // New rows go directly under the current last row (above any totals row)
+            const firstRow = body.rowIndex + body.rowCount;
+            const width = header.values[0].length;
+            const total = prepared.values.length - 1;
+            const step = batchRowCount(WRITE_BATCH_CELLS, width);
+            options.undo = { kind: 'tableRows', tableName, firstRow, rows: 0, label: `rows appended to ${tableName}` };
+
+            for (let start = 0; start < total; start += step) {
+                if (signal && signal.aborted) {
+                    throw cancelledAfterRows(start, total, 'those rows were already added to the table.');
+                }
+                const end = Math.min(start + step, total);
+                if (total > step) onProgress(rowSpanMessage('Appending', start, end, total));
+
+                // null leaves a cell to the table, so calculated columns keep their formula
+                const rows = [];
+                for (let r = start + 1; r <= end; r++) {
+                    const row = new Array(width).fill(null);
+                    mapping.forEach((tc, c) => { if (tc >= 0) row[tc] = prepared.values[r][c]; });
+                    rows.push(row);
+                }
+                table.rows.add(null, rows);
+
+                // Formats can only be set once the rows exist; text-formatted
+                // columns are written again so values like "00123" stay text
+                mapping.forEach((tc, c) => {
+                    if (tc < 0) return;
+                    const column = table.worksheet.getRangeByIndexes(firstRow + start, header.columnIndex + tc, end - start, 1);
+                    const formats = [];
+                    for (let r = start + 1; r <= end; r++) formats.push([prepared.numberFormat[r][c]]);
+                    column.numberFormat = formats;
+                    if (formats[0][0] === '@') {
+                        const values = [];
+                        for (let r = start + 1; r <= end; r++) values.push([prepared.values[r][c]]);
+                        column.values = values;
+                    }
+                });
+                if (options.suspendUpdates) suspendUpdatesUntilNextSync(context);
+                await context.sync();
+                options.undo.rows = end;
+            }
+
+            return { rows: total, skipped };
+        });
+    }
+
+    // Reverses a write recorded by one of the functions above (their options.undo):
+    // deletes a created sheet, removes appended table rows, or clears the written
+    // block and puts back the snapshot of what was there before.
+    async function undoWrite(undo, options = {}) {
+        return Excel.run(async (context) => {
+            const workbook = context.workbook;
+
+            if (undo.kind === 'newSheet') {
+                const sheet = workbook.worksheets.getItemOrNullObject(undo.sheetId);
+                await context.sync();
+                if (sheet.isNullObject) throw new Error('The sheet has already been deleted.');
+                sheet.delete();
+                await context.sync();
+                return;
+            }
+
+            if (undo.kind === 'tableRows') {
+                const table = workbook.tables.getItemOrNullObject(undo.tableName);
+                await context.sync();
+                if (table.isNullObject) throw new Error(`Table "${undo.tableName}" no longer exists.`);
+                const body = table.getDataBodyRange();
+                body.load(RANGE_SHAPE);
+                await context.sync();
+                // Only safe while the appended rows are still the table's last rows
+                if (body.rowIndex + body.rowCount !== undo.firstRow + undo.rows) {
+                    throw new Error(`Table "${undo.tableName}" has changed since the write; remove the rows by hand.`);
+                }
+                if (undo.rows > 0) {
+                    table.worksheet.getRangeByIndexes(undo.firstRow, body.columnIndex, undo.rows, body.columnCount)
+                        .delete(Excel.DeleteShiftDirection.up);
+                    await context.sync();
+                }
+                return;
+            }
+
+            if (undo.tableName) {
+                const table = workbook.tables.getItemOrNullObject(undo.tableName);
+                await context.sync();
+                if (!table.isNullObject) table.delete();
+            }
+
+            const sheet = workbook.worksheets.getItemOrNullObject(undo.sheetId);
+            await context.sync();
+            if (sheet.isNullObject) throw new Error('The sheet that was written to no longer exists.');
+
+            const w = undo.written;
+            sheet.getRangeByIndexes(w.rowIndex, w.columnIndex, w.rows, w.cols).clear(Excel.ClearApplyTo.contents);
+            await context.sync();
+
+            // No snapshot when the sheet was empty before the write
+            if (undo.snapshot && undo.snapshot.formulas.length) {
+                const snap = undo.snapshot;
+                await writeRowsInBatches(context, sheet, snap.rowIndex, snap.columnIndex,
+                    { values: snap.formulas, numberFormat: snap.numberFormat },
+                    { onProgress: options.onProgress, suspendUpdates: options.suspendUpdates, asFormulas: true });
+            }
+            if (undo.nameFormula) {
+                workbook.names.getItem(undo.rangeName).formula = undo.nameFormula;
+                await context.sync();
+            }
+        });
+    }
+
+    // ── Live links ────────────────────────────────────────────
+    // A link re-runs a transform locally when its source range changes and
+    // refreshes its output block in place. Links are kept in the workbook's
+    // settings, so they are saved with the file; they run while the pane is open.
+    const LINKS_SETTING = 'transformLinks';
+    const LINK_DEBOUNCE_MS = 1500;
+
+    function getLinks() {
+        const links = Office.context.document.settings.get(LINKS_SETTING);
+        return Array.isArray(links) ? links : [];
+    }
+
+    function saveLinks(links) {
+        const settings = Office.context.document.settings;
+        settings.set(LINKS_SETTING, links);
+        return new Promise((resolve, reject) => {
+            settings.saveAsync(result => {
+                if (result.status === Office.AsyncResultStatus.Succeeded) resolve();
+                else reject(new Error('Could not save links to the workbook: ' + (result.error ? result.error.message : 'unknown error')));
+            });
+        });
+    }
+
+    async function updateLink(id, changes) {
+        const links = getLinks();
+        const link = links.find(l => l.id === id);
+        if (!link) return null;
+        Object.assign(link, changes);
+        await saveLinks(links);
+        return link;
+    }
+
+    // Block a source covers, as inclusive row/column bounds (whole sheets are unbounded)
+    function sourceRect(source) {
+        if (source.wholeSheet) return { r0: 0, c0: 0, r1: Infinity, c1: Infinity };
+        return {
+            r0: source.rowIndex, c0: source.columnIndex,
+            r1: source.rowIndex + source.rowCount - 1, c1: source.columnIndex + source.columnCount - 1
+        };
+    }
+
+    function blockRect(rowIndex, columnIndex, rows, cols) {
+        return { r0: rowIndex, c0: columnIndex, r1: rowIndex + rows - 1, c1: columnIndex + cols - 1 };
+    }
+
+    function rectsIntersect(a, b) {
+        return a.r0 <= b.r1 && b.r0 <= a.r1 && a.c0 <= b.c1 && b.c0 <= a.c1;
+    }
+
+    function columnNumber(letters) {
+        let n = 0;
+        for (const ch of letters.toUpperCase()) n = n * 26 + (ch.charCodeAt(0) - 64);
+        return n - 1;
+    }
+
+    // "B3", "B3:D9", "A:C" or "4:7" (as in change events) -> rect
+    function a1Rect(address) {
+        const parts = address.replace(/\$/g, '').split(':');
+        const corner = (ref) => {
+            const m = /^([A-Za-z]*)(\d*)$/.exec(ref) || [];
+            return { r: m[2] ? parseInt(m[2], 10) - 1 : null, c: m[1] ? columnNumber(m[1]) : null };
+        };
+        const a = corner(parts[0]);
+        const b = corner(parts[1] || parts[0]);
+        return { r0: a.r ?? 0, c0: a.c ?? 0, r1: b.r ?? Infinity, c1: b.c ?? Infinity };
+    }
+
+    function linkSources(link) {
+        return [link.source].concat((link.tables || []).map(t => t.source));
+    }
+
+    // Output on a source's sheet must stay clear of it, or each refresh would trigger the next
+    function outputOverlapsSource(link, rows, cols) {
+        const out = blockRect(link.output.rowIndex, link.output.columnIndex, rows, cols);
+        return linkSources(link).some(src => src.sheetId === link.output.sheetId && rectsIntersect(sourceRect(src), out));
+    }
+
+    // Registers one change handler per sheet that feeds an active link
+    async function watchLinkSources() {
+        const ids = new Set();
+        getLinks().forEach(link => linkSources(link).forEach(src => ids.add(src.sheetId)));
+        const pending = [...ids].filter(id => !state.watchedSheets.has(id));
+        if (!pending.length) return;
+
+        await Excel.run(async (context) => {
+            const sheets = pending.map(id => context.workbook.worksheets.getItemOrNullObject(id));
+            await context.sync();
+            sheets.forEach((sheet, i) => {
+                if (sheet.isNullObject) return;
+                sheet.onChanged.add(onLinkedSheetChanged);
+                state.watchedSheets.add(pending[i]);
+            });
+            await context.sync();
+        });
+    }
+
+    async function onLinkedSheetChanged(event) {
+        const changed = a1Rect(event.address);
+        getLinks().forEach(link => {
+            if (link.paused) return;
+            const hit = linkSources(link).some(src => src.sheetId === event.worksheetId && rectsIntersect(sourceRect(src), changed));
+            if (hit) scheduleLinkRefresh(link.id);
+        });
+    }
+
+    function scheduleLinkRefresh(id) {
+        clearTimeout(state.linkTimers[id]);
+        state.linkTimers[id] = setTimeout(() => {
+            delete state.linkTimers[id];
+            runLink(id);
+        }, LINK_DEBOUNCE_MS);
+    }
+
+    // Runs one refresh at a time per link; a change during a run queues one more
+    async function runLink(id) {
+        if (state.linkRuns[id]) {
+            state.linkRuns[id] = 'again';
+            return;
+        }
+        state.linkRuns[id] = 'running';
+        renderLinks();
+        try {
+            const link = getLinks().find(l => l.id === id);
+            if (!link || link.paused) return;
+            try {
+                const output = await refreshLink(link);
+                await updateLink(id, { output, lastRun: new Date().toISOString(), lastError: null });
+            } catch (e) {
+                // Stop re-running a link that can't succeed until someone looks at it
+                await updateLink(id, { paused: true, lastError: e.message || String(e) });
+            }
+        } finally {
+            const again = state.linkRuns[id] === 'again';
+            delete state.linkRuns[id];
+            renderLinks();
+            if (again) scheduleLinkRefresh(id);
+        }
+    }
+
+    async function readLinkSource(source) {
         return Excel.run(async (context) => {
-            const sheet = context.workbook.worksheets.getItem(sheetName);
-            const usedRange = sheet.getUsedRange();
-            usedRange.load('values, rowCount, columnCount');
+            const sheet = context.workbook.worksheets.getItemOrNullObject(source.sheetId);
             await context.sync();
-            return { values: usedRange.values, rows: usedRange.rowCount, cols: usedRange.columnCount };
-        });
-    }
-
-    async function readActiveSheet() {
-        return Excel.run(async (context) => {
-            const sheet = context.workbook.worksheets.getActiveWorksheet();
-            const usedRange = sheet.getUsedRange();
-            usedRange.load('values, rowCount, columnCount');
+            if (sheet.isNullObject) throw new Error(`Source sheet "${source.sheetName}" no longer exists.`);
+            const range = source.wholeSheet
+                ? sheet.getUsedRange()
+                : sheet.getRangeByIndexes(source.rowIndex, source.columnIndex, source.rowCount, source.columnCount);
+            range.load(RANGE_SHAPE);
             await context.sync();
-            return { values: usedRange.values, rows: usedRange.rowCount, cols: usedRange.columnCount };
+            const result = await readRangeInBatches(context, range, {});
+            return applyValueTypes(result.values, result.numberFormat, result.valueTypes);
         });
     }
 
-    async function writeToNewSheet(data) {
-        return Excel.run(async (context) => {
-            const now = new Date();
-            const ts = now.getFullYear().toString().slice(2)
-                + String(now.getMonth() + 1).padStart(2, '0')
-                + String(now.getDate()).padStart(2, '0')
-                + '_'
-                + String(now.getHours()).padStart(2, '0')
-                + String(now.getMinutes()).padStart(2, '0')
-                + String(now.getSeconds()).padStart(2, '0');
-            const name = 'AI_Transform_' + ts;
-            const newSheet = context.workbook.worksheets.add(name);
-            const startCell = newSheet.getRange('A1');
-            const outputRange = startCell.getResizedRange(data.length - 1, data[0].length - 1);
-            outputRange.values = data;
-            newSheet.activate();
-            await context.sync();
-            return name;
-        });
+    // Re-reads the sources, runs the function and rewrites the output block.
+    // Resolves to the link's updated output location.
+    async function refreshLink(link) {
+        const input = await readLinkSource(link.source);
+        const headerCheck = compareHeaderSignature(link.inputHeader, getHeaderSignature(input));
+        if (!headerCheck.matches) throw new Error('Source header changed. ' + headerCheck.message);
+
+        // The function indexes the additional tables' columns too. Links made
+        // before their headers were stored have nothing to compare against.
+        const tables = [];
+        for (const t of link.tables || []) {
+            const data = await readLinkSource(t.source);
+            if (t.header) {
+                const tableCheck = compareHeaderSignature(t.header, getHeaderSignature(data));
+                if (!tableCheck.matches) throw new Error(`Source header changed. Table "${t.name}": ${tableCheck.message}`);
+            }
+            tables.push({ name: t.name, data });
+        }
+
+        const run = await executeJsTransform(link.jsTransform, input, { tables });
+        const formats = resolveColumnFormats(run.data, run.numberFormats, link.outputTypes);
+        const prepared = prepareForWrite(run.data, formats);
+        if (outputOverlapsSource(link, prepared.values.length, prepared.values[0].length)) {
+            throw new Error('The refreshed output would overlap its source range.');
+        }
+        return writeLinkOutput(link.output, prepared);
     }
 
-    async function writeToSelection(data) {
+    // Clears the previous output block and writes the new one at the same
+    // top-left cell, keeping a named range or table pointed at it.
+    async function writeLinkOutput(output, prepared) {
+        const rows = prepared.values.length;
+        const cols = prepared.values[0].length;
         return Excel.run(async (context) => {
-            const range = context.workbook.getSelectedRange();
-            range.load('address');
+            const sheet = context.workbook.worksheets.getItemOrNullObject(output.sheetId);
             await context.sync();
-            const startCell = context.workbook.worksheets.getActiveWorksheet().getRange(range.address.split(':')[0]);
-            const outputRange = startCell.getResizedRange(data.length - 1, data[0].length - 1);
-            outputRange.values = data;
+            if (sheet.isNullObject) throw new Error(`Output sheet "${output.sheetName}" no longer exists.`);
+
+            // A refresh keeps no undo record, so it never writes over content
+            // outside the previous block: a grown result pauses the link instead
+            const beyond = [];
+            if (cols > output.cols) beyond.push([output.rowIndex, output.columnIndex + output.cols, rows, cols - output.cols]);
+            if (rows > output.rows) beyond.push([output.rowIndex + output.rows, output.columnIndex, rows - output.rows, Math.min(cols, output.cols)]);
+            let nonEmpty = 0;
+            for (const [rowIndex, columnIndex, rowCount, columnCount] of beyond) {
+                nonEmpty += (await snapshotRange(context, sheet, rowIndex, columnIndex, rowCount, columnCount, {})).nonEmpty;
+            }
+            if (nonEmpty > 0) {
+                throw new Error(`The refreshed output has grown and would overwrite ${nonEmpty.toLocaleString()} non-empty ` +
+                    'cells next to it. Clear them or move the output, then resume the link.');
+            }
+
+            const table = output.tableName ? context.workbook.tables.getItemOrNullObject(output.tableName) : null;
+            if (table) await context.sync();
+            const resize = table && !table.isNullObject && Office.context.requirements.isSetSupported('ExcelApi', '1.13');
+            // Without Table.resize the table is recreated around the new block
+            if (table && !table.isNullObject && !resize) table.delete();
+
+            sheet.getRangeByIndexes(output.rowIndex, output.columnIndex, output.rows, output.cols)
+                .clear(Excel.ClearApplyTo.contents);
             await context.sync();
+            await writeRowsInBatches(context, sheet, output.rowIndex, output.columnIndex, prepared,
+                { suspendUpdates: getSuspendDuringWrite() });
+
+            const block = sheet.getRangeByIndexes(output.rowIndex, output.columnIndex, rows, cols);
+            if (resize) {
+                table.resize(block);
+                await context.sync();
+            } else if (output.tableName) {
+                await formatAsTable(context, sheet, output.rowIndex, output.columnIndex, prepared, output.tableName);
+            }
+            if (output.rangeName) {
+                block.load('address');
+                await context.sync();
+                context.workbook.names.getItem(output.rangeName).formula = '=' + absoluteAddress(block.address);
+                await context.sync();
+            }
+            return Object.assign({}, output, { rows, cols });
         });
     }
 
@@ -372,7 +2541,7 @@ Respond with EXACTLY this JSON (no markdown fences, no extra text):
         for (let r = 1; r < maxRows; r++) {
             html += '<tr>';
             for (let c = 0; c < maxCols; c++) {
-                html += `<td>${escapeHtml(String(data[r][c] ?? ''))}</td>`;
+                html += `<td>${escapeHtml(formatCellText(data[r][c]))}</td>`;
             }
             if (data[0].length > maxCols) html += '<td>...</td>';
             html += '</tr>';
@@ -396,6 +2565,266 @@ Respond with EXACTLY this JSON (no markdown fences, no extra text):
         }
     }
 
+    function renderVerification(container, report) {
+        if (!report) {
+            container.innerHTML = '';
+            return;
+        }
+        if (report.passed) {
+            container.innerHTML = `<div class="verification verification-pass">Matches Output Example: ${escapeHtml(formatMatchScore(report))}</div>`;
+            return;
+        }
+        const resultHeader = (state.result && state.result.transformedData && state.result.transformedData[0]) || [];
+        const items = summarizeVerification(report, resultHeader).map(line => `<li>${escapeHtml(line)}</li>`).join('');
+        container.innerHTML = `<div class="verification verification-fail">` +
+            `<div>Differs from Output Example: ${escapeHtml(formatMatchScore(report))}</div>` +
+            `<ul>${items}</ul></div>`;
+    }
+
+    // ── Result view ───────────────────────────────────────────
+    // The full result a page at a time, or each Output Example row lined up
+    // with the result row it was matched to, differing cells highlighted.
+    const RESULT_PAGE_ROWS = 100;
+    const RESULT_MAX_COLS = 100;
+
+    function clearResultView(html) {
+        $('#result-preview-container').innerHTML = html;
+        $('#result-preview-info').textContent = '';
+        $('#result-verification').innerHTML = '';
+        $('#result-view-tabs').style.display = 'none';
+        $('#result-pager').style.display = 'none';
+    }
+
+    function renderResultView() {
+        const data = state.result && state.result.transformedData;
+        const report = state.lastVerification;
+        const container = $('#result-preview-container');
+        if (!data || data.length === 0) {
+            clearResultView('<div class="empty-state">No data returned</div>');
+            return;
+        }
+
+        const diff = state.resultView === 'diff' && !!report;
+        $('#result-view-tabs').style.display = report ? '' : 'none';
+        document.querySelectorAll('#result-view-tabs [data-view]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === (diff ? 'diff' : 'result'));
+        });
+
+        const rowCount = diff ? report.exampleRows : data.length - 1;
+        const pages = Math.max(1, Math.ceil(rowCount / RESULT_PAGE_ROWS));
+        state.resultPage = Math.min(Math.max(state.resultPage, 0), pages - 1);
+        const start = state.resultPage * RESULT_PAGE_ROWS;
+        const end = Math.min(rowCount, start + RESULT_PAGE_ROWS);
+
+        container.innerHTML = diff
+            ? renderDiffRows(data, report, start, end)
+            : renderResultRows(data, start, end);
+        container.scrollTop = 0;
+
+        $('#result-pager').style.display = pages > 1 ? '' : 'none';
+        $('#result-page-info').textContent = rowCount
+            ? `${diff ? 'Example rows' : 'Rows'} ${(start + 1).toLocaleString()}–${end.toLocaleString()} of ${rowCount.toLocaleString()}`
+            : '';
+        $('#btn-result-prev').disabled = state.resultPage === 0;
+        $('#btn-result-next').disabled = state.resultPage >= pages - 1;
+    }
+
+    function setResultView(view) {
+        if (state.resultView === view) return;
+        state.resultView = view;
+        state.resultPage = 0;
+        renderResultView();
+    }
+
+    function moveResultPage(delta) {
+        state.resultPage += delta;
+        renderResultView();
+    }
+
+    function renderResultRows(data, start, end) {
+        const cols = Math.min(data[0].length, RESULT_MAX_COLS);
+        const more = data[0].length > cols;
+        let html = '<table><thead><tr><th class="row-number">#</th>';
+        for (let c = 0; c < cols; c++) {
+            html += `<th>${escapeHtml(String(data[0][c] ?? ''))}</th>`;
+        }
+        if (more) html += '<th>...</th>';
+        html += '</tr></thead><tbody>';
+        for (let r = start + 1; r <= end; r++) {
+            const row = data[r] || [];
+            html += `<tr><td class="row-number">${r}</td>`;
+            for (let c = 0; c < cols; c++) {
+                html += `<td>${escapeHtml(formatCellText(row[c]))}</td>`;
+            }
+            if (more) html += '<td>...</td>';
+            html += '</tr>';
+        }
+        return html + '</tbody></table>';
+    }
+
+    // Columns follow the Output Example; columns only the result has come last
+    function renderDiffRows(data, report, start, end) {
+        const example = report.example;
+        const expectedHeader = example[0] || [];
+        const actualHeader = data[0] || [];
+        const missing = new Set(report.missingColumns);
+        const renamed = new Set(report.renamedColumns);
+
+        let html = '<table class="diff-table"><thead><tr><th class="row-number" title="Example row → result row">#</th>';
+        expectedHeader.forEach((name, c) => {
+            const label = String(name ?? '');
+            if (missing.has(c)) {
+                html += `<th class="diff-missing" title="Not in the result">${escapeHtml(label)}</th>`;
+            } else if (renamed.has(c)) {
+                html += `<th class="diff-cell"><span class="diff-actual">${escapeHtml(String(actualHeader[report.columnMap[c]] ?? ''))}</span>` +
+                    `<span class="diff-expected">${escapeHtml(label)}</span></th>`;
+            } else {
+                html += `<th>${escapeHtml(label)}</th>`;
+            }
+        });
+        report.extraColumns.forEach(i => {
+            html += `<th class="diff-extra" title="Not in the Output Example">${escapeHtml(String(actualHeader[i] ?? ''))}</th>`;
+        });
+        html += '</tr></thead><tbody>';
+
+        for (let e = start + 1; e <= end; e++) {
+            const expectedRow = example[e] || [];
+            const aligned = report.alignments[e];
+
+            if (aligned === -1) {
+                html += `<tr class="diff-unmatched" title="No matching result row"><td class="row-number">${e} → —</td>`;
+                expectedHeader.forEach((_, c) => {
+                    html += `<td>${escapeHtml(formatCellText(expectedRow[c]))}</td>`;
+                });
+                report.extraColumns.forEach(() => { html += '<td></td>'; });
+                html += '</tr>';
+                continue;
+            }
+
+            const row = data[aligned] || [];
+            html += `<tr><td class="row-number">${e} → ${aligned}</td>`;
+            expectedHeader.forEach((_, c) => {
+                const i = report.columnMap[c];
+                const actual = i < 0 ? undefined : row[i];
+                if (cellsEqual(expectedRow[c], actual)) {
+                    html += `<td>${escapeHtml(formatCellText(actual))}</td>`;
+                } else {
+                    html += `<td class="diff-cell"><span class="diff-actual">${escapeHtml(formatCellText(actual))}</span>` +
+                        `<span class="diff-expected">${escapeHtml(formatCellText(expectedRow[c]))}</span></td>`;
+                }
+            });
+            report.extraColumns.forEach(i => {
+                html += `<td class="diff-extra">${escapeHtml(formatCellText(row[i]))}</td>`;
+            });
+            html += '</tr>';
+        }
+        return html + '</tbody></table>';
+    }
+
+    function refreshRecipeList(selectedId) {
+        const selectEl = $('#recipe-select');
+        const current = selectedId !== undefined ? selectedId : selectEl.value;
+        selectEl.innerHTML = '<option value="">-- Select Recipe --</option>';
+        getRecipes()
+            .slice()
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(recipe => {
+                const opt = document.createElement('option');
+                opt.value = recipe.id;
+                opt.textContent = recipe.name;
+                selectEl.appendChild(opt);
+            });
+        selectEl.value = findRecipe(current) ? current : '';
+        renderRecipeInfo();
+    }
+
+    function renderRecipeInfo() {
+        const recipe = findRecipe($('#recipe-select').value);
+        const infoEl = $('#recipe-info');
+        if (!recipe) {
+            infoEl.textContent = '';
+            return;
+        }
+        const lang = recipe.scriptLanguage === 'VBA' ? 'VBA' : 'Office Scripts';
+        const tables = (recipe.tableHeaders || []).map(t => t.name);
+        infoEl.textContent = `${recipe.inputHeader.length} input columns` +
+            (tables.length ? ` + tables ${tables.join(', ')}` : '') +
+            ` · ${lang} · saved ${recipe.updatedAt.slice(0, 10)}` +
+            (recipe.explanation ? ` — ${recipe.explanation}` : '');
+        $('#recipe-name').value = recipe.name;
+    }
+
+    function renderExtraInputs() {
+        const listEl = $('#extra-input-list');
+        listEl.innerHTML = '';
+        state.extraInputs.forEach(table => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `${table.name} — ${table.data.length - 1} rows × ${(table.data[0] || []).length} columns` +
+                (table.address ? ` (${table.address})` : '');
+            const remove = document.createElement('button');
+            remove.className = 'btn btn-secondary btn-small';
+            remove.textContent = 'Remove';
+            remove.addEventListener('click', () => removeExtraInput(table.name));
+            item.appendChild(label);
+            item.appendChild(remove);
+            listEl.appendChild(item);
+        });
+    }
+
+    // Column checkboxes for privacy mode, over the input and additional tables
+    function renderSensitiveColumns() {
+        const listEl = $('#sensitive-columns');
+        listEl.innerHTML = '';
+        if (!getPrivacyMode()) return;
+
+        const headers = [];
+        [state.inputData].concat(state.extraInputs.map(t => t.data)).forEach(data => {
+            ((data && data[0]) || []).forEach(h => {
+                const name = String(h ?? '').trim();
+                if (name && !headers.some(x => x.toLowerCase() === name.toLowerCase())) headers.push(name);
+            });
+        });
+        if (!headers.length) {
+            listEl.innerHTML = '<div class="empty-state">Capture input data to choose sensitive columns</div>';
+            return;
+        }
+
+        headers.forEach(name => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.checked = isSensitiveHeader(name);
+            box.addEventListener('change', () => {
+                state.sensitiveColumns[name.toLowerCase()] = box.checked;
+                updatePromptEstimate();
+            });
+            label.appendChild(box);
+            label.appendChild(document.createTextNode(' ' + name));
+            listEl.appendChild(label);
+        });
+    }
+
+    // "Sheet1!A1:C10" or "'My Sheet'!A1:C10" → sheet name
+    function sheetFromAddress(address) {
+        if (!address || address.indexOf('!') === -1) return '';
+        return address.slice(0, address.lastIndexOf('!')).replace(/^'|'$/g, '').replace(/''/g, "'");
+    }
+
+    function renderVersionList() {
+        const selectEl = $('#version-select');
+        selectEl.innerHTML = '';
+        state.versions.forEach((version, i) => {
+            const opt = document.createElement('option');
+            opt.value = String(i);
+            opt.textContent = `v${i + 1} — ${version.label}` + (i === state.activeVersion ? ' (current)' : '');
+            selectEl.appendChild(opt);
+        });
+        selectEl.value = String(state.activeVersion);
+        $('#version-controls').style.display = state.versions.length > 1 ? '' : 'none';
+    }
+
     function hideStatus(el) {
         el.className = 'status';
         el.textContent = '';
@@ -421,10 +2850,38 @@ Respond with EXACTLY this JSON (no markdown fences, no extra text):
     function init() {
         // Load script language preference
         $('#script-language').value = getScriptLanguage();
+        $('#exec-timeout').value = getExecTimeoutSeconds();
+        $('#repair-attempts').value = getRepairAttempts();
+        $('#stream-responses').checked = getStreamingEnabled();
+        $('#suspend-during-write').checked = getSuspendDuringWrite();
+        $('#privacy-mode').checked = getPrivacyMode();
 
         // Load sheet names
         refreshSheetLists();
 
+        // Load saved recipes
+        refreshRecipeList();
+
+        // Model choices, and the chosen model's limits and pricing for prompt estimates
+        loadModels();
+        loadModelInfo().then(() => {
+            // A proxy that requires an access token is unusable until one is entered
+            if (state.authError) {
+                showView('settings');
+                showStatus($('#access-token-status'), 'info', state.authError);
+                return;
+            }
+            // A proxy that only takes user keys is unusable until one is entered
+            if (state.keyMode === 'byok' && !getApiKey()) {
+                showView('settings');
+                showStatus($('#settings-status'), 'info', 'Enter your API key to start.');
+            }
+        });
+
+        // Live links saved in this workbook
+        renderLinks();
+        watchLinkSources().catch(e => console.warn('Could not watch linked sources:', e));
+
         bindEvents();
     }
 
@@ -433,17 +2890,205 @@ Respond with EXACTLY this JSON (no markdown fences, no extra text):
             const names = await getSheetNames();
             populateSheetDropdown($('#input-sheet-select'), names);
             populateSheetDropdown($('#output-sheet-select'), names);
+            populateSheetDropdown($('#extra-input-sheet-select'), names);
         } catch (e) {
             console.warn('Could not load sheet names:', e);
         }
     }
 
+    // Fills the model picker with the models the proxy allows
+    async function loadModels() {
+        const selectEl = $('#ai-model');
+        try {
+            const list = await apiCall('/api/models', null, null, 'GET');
+            selectEl.innerHTML = '';
+            list.models.forEach(m => {
+                const opt = document.createElement('option');
+                opt.value = m.id === list.defaultModel ? '' : m.id;
+                opt.textContent = m.name + (m.id === list.defaultModel ? ' (default)' : '') +
+                    (m.pricing ? ` — ${formatUsd(m.pricing.input)}/${formatUsd(m.pricing.output)} per M tokens` : '');
+                selectEl.appendChild(opt);
+            });
+            const saved = getModel();
+            if (saved && (saved === list.defaultModel || !list.models.some(m => m.id === saved))) {
+                // Now the default, or no longer allowed on the proxy
+                saveModel('');
+                loadModelInfo();
+            }
+            selectEl.value = getModel();
+            selectEl.disabled = list.models.length < 2;
+        } catch (e) {
+            console.warn('Could not load models:', e);
+        }
+    }
+
+    // Adds the chosen model to an AI request body
+    function withSelectedModel(body) {
+        const model = getModel();
+        return model ? Object.assign({}, body, { model }) : body;
+    }
+
+    async function loadModelInfo() {
+        try {
+            const model = getModel();
+            const info = await apiCall('/api/info' + (model ? '?model=' + encodeURIComponent(model) : ''), null, null, 'GET');
+            state.modelInfo = {
+                provider: info.provider,
+                model: info.model,
+                contextTokens: info.contextTokens || DEFAULT_MODEL_INFO.contextTokens,
+                maxOutputTokens: info.maxOutputTokens || DEFAULT_MODEL_INFO.maxOutputTokens,
+                outputTokenLimit: info.outputTokenLimit || info.maxOutputTokens || DEFAULT_MODEL_INFO.outputTokenLimit,
+                maxRequestBytes: info.maxRequestBytes || DEFAULT_MODEL_INFO.maxRequestBytes,
+                pricing: info.pricing || null
+            };
+            state.keyMode = info.keyMode || null;
+            state.tenant = info.tenant || null;
+            state.authError = null;
+            updatePromptEstimate();
+            renderApiKeyInfo();
+        } catch (e) {
+            if (isAuthError(e)) state.authError = e.message;
+            console.warn('Could not load model info, using default limits:', e);
+        }
+    }
+
+    // ── Settings ──────────────────────────────────────────────
+    function showView(name) {
+        document.querySelectorAll('.view').forEach(view => {
+            view.classList.toggle('active', view.id === `view-${name}`);
+        });
+        $('#btn-settings').textContent = name === 'settings' ? 'Back' : 'Settings';
+        if (name === 'settings') {
+            $('#access-token').value = getAccessToken();
+            $('#api-key').value = getApiKey();
+            renderAccessTokenInfo();
+            renderApiKeyInfo();
+        }
+    }
+
+    // Explains what the proxy does with a user key (see AI_KEY_MODE in server.js)
+    function renderApiKeyInfo() {
+        const provider = state.modelInfo && state.modelInfo.provider ? ` (${state.modelInfo.provider})` : '';
+        const messages = {
+            server: 'This proxy uses its own API key and refuses user keys. Leave this empty.',
+            byok: `This proxy requires your own API key${provider}. AI requests are billed to your account.`,
+            either: `Optional. Enter your own API key${provider} to bill AI requests to your account; without one, the proxy's key is used.`
+        };
+        $('#api-key-info').textContent = (messages[state.keyMode] || 'Enter your provider API key if your proxy requires one.') +
+            ' The key is stored in this browser only and sent to the proxy with each AI request; the proxy does not store or log it.';
+    }
+
+    // Who the saved access token identifies, if the proxy accepted it
+    function renderAccessTokenInfo() {
+        const tenant = state.tenant;
+        $('#access-token-info').textContent = tenant
+            ? `Signed in as ${tenant.user ? tenant.user + ' (' + tenant.name + ')' : tenant.name}.`
+            : 'Needed only if your proxy requires one. Ask its operator for a token.';
+    }
+
+    // Saves the access token, then reloads the proxy's models and limits with it
+    async function saveAndCheckAccessToken() {
+        const statusEl = $('#access-token-status');
+        saveAccessToken($('#access-token').value.trim());
+        showStatus(statusEl, 'loading', 'Checking access token...');
+        await loadModelInfo();
+        renderAccessTokenInfo();
+        if (state.authError) {
+            showStatus(statusEl, 'error', state.authError);
+            return;
+        }
+        loadModels();
+        showStatus(statusEl, 'success', state.tenant
+            ? `Access token accepted for ${state.tenant.name}.`
+            : 'Saved. This proxy does not require an access token.');
+    }
+
+    function clearAccessToken() {
+        saveAccessToken('');
+        state.tenant = null;
+        $('#access-token').value = '';
+        renderAccessTokenInfo();
+        showStatus($('#access-token-status'), 'info', 'Access token removed from this browser.');
+    }
+
+    async function testApiKey() {
+        const statusEl = $('#settings-status');
+        const apiKey = $('#api-key').value.trim();
+        saveApiKey(apiKey);
+        showStatus(statusEl, 'loading', 'Testing connection...');
+        try {
+            const result = await apiCall('/api/test', withSelectedModel({}));
+            showStatus(statusEl, 'success',
+                `Connected to ${result.model} using ${result.key === 'user' ? 'your API key' : "the proxy's API key"}.`);
+        } catch (e) {
+            showStatus(statusEl, 'error', e.message);
+        }
+    }
+
+    function clearApiKey() {
+        saveApiKey('');
+        $('#api-key').value = '';
+        showStatus($('#settings-status'), 'info', state.keyMode === 'byok'
+            ? 'Key removed from this browser. This proxy needs a key before AI requests will work.'
+            : "Key removed from this browser. AI requests will use the proxy's key.");
+    }
+
     // ── Event binding ─────────────────────────────────────────
     function bindEvents() {
         // Script language preference
         $('#script-language').addEventListener('change', (e) => {
             saveScriptLanguage(e.target.value);
         });
+        // Settings view
+        $('#btn-settings').addEventListener('click', () => {
+            showView($('#view-settings').classList.contains('active') ? 'transform' : 'settings');
+        });
+        $('#btn-save-token').addEventListener('click', saveAndCheckAccessToken);
+        $('#btn-clear-token').addEventListener('click', clearAccessToken);
+        $('#btn-save-key').addEventListener('click', testApiKey);
+        $('#btn-clear-key').addEventListener('click', clearApiKey);
+        $('#btn-show-key').addEventListener('click', () => {
+            const input = $('#api-key');
+            input.type = input.type === 'password' ? 'text' : 'password';
+            $('#btn-show-key').textContent = input.type === 'password' ? 'Show' : 'Hide';
+        });
+
+        $('#ai-model').addEventListener('change', (e) => {
+            saveModel(e.target.value);
+            loadModelInfo();
+        });
+
+        // Local execution timeout preference
+        $('#exec-timeout').addEventListener('change', (e) => {
+            saveExecTimeoutSeconds(e.target.value);
+            e.target.value = getExecTimeoutSeconds();
+        });
+
+        // Streaming preference
+        $('#stream-responses').addEventListener('change', (e) => {
+            saveStreamingEnabled(e.target.checked);
+        });
+
+        // Pause calculation / screen updating while writing
+        $('#suspend-during-write').addEventListener('change', (e) => {
+            saveSuspendDuringWrite(e.target.checked);
+        });
+
+        // Auto-repair attempts preference
+        $('#repair-attempts').addEventListener('change', (e) => {
+            saveRepairAttempts(e.target.value);
+            e.target.value = getRepairAttempts();
+        });
+
+        // Privacy mode
+        $('#privacy-mode').addEventListener('change', (e) => {
+            savePrivacyMode(e.target.checked);
+            renderSensitiveColumns();
+            updatePromptEstimate();
+        });
+
+        // Rules change the prompt size
+        $('#rules-textarea').addEventListener('change', updatePromptEstimate);
 
         // Input data buttons
         $('#btn-input-selection').addEventListener('click', () => captureData('input', 'selection'));
@@ -452,6 +3097,13 @@ Respond with EXACTLY this JSON (no markdown fences, no extra text):
             if (e.target.value) captureData('input', 'sheet', e.target.value);
         });
 
+        // Additional input tables
+        $('#btn-extra-input-selection').addEventListener('click', () => captureExtraInput('selection'));
+        $('#extra-input-sheet-select').addEventListener('change', (e) => {
+            if (e.target.value) captureExtraInput('sheet', e.target.value);
+            e.target.value = '';
+        });
+
         // Output data buttons
         $('#btn-output-selection').addEventListener('click', () => captureData('output', 'selection'));
         $('#btn-output-sheet').addEventListener('click', () => captureData('output', 'activeSheet'));
@@ -459,6 +3111,13 @@ Respond with EXACTLY this JSON (no markdown fences, no extra text):
             if (e.target.value) captureData('output', 'sheet', e.target.value);
         });
 
+        // Cancel a batched Excel read / write
+        ['input', 'output', 'extra-input', 'write'].forEach((key) => {
+            $(`#btn-cancel-${key}`).addEventListener('click', () => {
+                if (state.excelTasks[key]) state.excelTasks[key].abort();
+            });
+        });
+
         // Collapsible
         $('.collapsible-header').addEventListener('click', () => {
             const chevron = $('.collapsible-header .chevron');
@@ -467,6 +3126,44 @@ Respond with EXACTLY this JSON (no markdown fences, no extra text):
             body.classList.toggle('open');
         });
 
+        // Recipe library
+        $('#recipe-header').addEventListener('click', function() {
+            $('#recipe-header .chevron').classList.toggle('open');
+            $('#recipe-body').classList.toggle('open');
+        });
+        $('#recipe-select').addEventListener('change', function() {
+            hideStatus($('#recipe-status'));
+            $('#btn-recipe-force').style.display = 'none';
+            renderRecipeInfo();
+        });
+        $('#btn-apply-recipe').addEventListener('click', function() { applyRecipe(false); });
+        $('#btn-recipe-force').addEventListener('click', function() { applyRecipe(true); });
+        $('#btn-save-recipe').addEventListener('click', function() {
+            // Open the library so the name field and status are visible
+            $('#recipe-header .chevron').classList.add('open');
+            $('#recipe-body').classList.add('open');
+            saveCurrentAsRecipe();
+        });
+        $('#btn-rename-recipe').addEventListener('click', renameSelectedRecipe);
+        $('#btn-delete-recipe').addEventListener('click', deleteSelectedRecipe);
+        $('#btn-export-recipes').addEventListener('click', exportRecipes);
+
+        // Live links
+        $('#link-header').addEventListener('click', function() {
+            $('#link-header .chevron').classList.toggle('open');
+            $('#link-body').classList.toggle('open');
+        });
+        $('#btn-link-output').addEventListener('click', linkCurrentResult);
+        $('#link-list').addEventListener('click', function(e) {
+            var btn = e.target.closest('button[data-action]');
+            if (btn) linkAction(btn.dataset.action, btn.dataset.id);
+        });
+        $('#btn-import-recipes').addEventListener('click', function() { $('#recipe-import-file').click(); });
+        $('#recipe-import-file').addEventListener('change', function(e) {
+            if (e.target.files[0]) importRecipes(e.target.files[0]);
+            e.target.value = '';
+        });
+
         // Transform
         $('#btn-transform').addEventListener('click', function() { runTransform(false); });
 
@@ -478,68 +3175,269 @@ Respond with EXACTLY this JSON (no markdown fences, no extra text):
             }
         });
 
+        // Result view: full result or comparison, paged
+        document.querySelectorAll('#result-view-tabs [data-view]').forEach(function(btn) {
+            btn.addEventListener('click', function() { setResultView(btn.dataset.view); });
+        });
+        $('#btn-result-prev').addEventListener('click', function() { moveResultPage(-1); });
+        $('#btn-result-next').addEventListener('click', function() { moveResultPage(1); });
+
         // Retry with AI fix after local execution failure
         $('#btn-retry-transform').addEventListener('click', function() { runTransform(true); });
 
-        // JS transform section collapsible
-        $('#js-transform-header').addEventListener('click', function() {
-            var chevron = $('#js-transform-header .chevron');
-            var body = $('#js-transform-body');
-            chevron.classList.toggle('open');
-            body.classList.toggle('open');
+        // JS transform section collapsible
+        $('#js-transform-header').addEventListener('click', function() {
+            var chevron = $('#js-transform-header .chevron');
+            var body = $('#js-transform-body');
+            chevron.classList.toggle('open');
+            body.classList.toggle('open');
+        });
+
+        // Refinement
+        $('#btn-refine').addEventListener('click', runRefinement);
+        $('#refine-input').addEventListener('keydown', function(e) {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) runRefinement();
+        });
+        $('#btn-cancel-refine').addEventListener('click', function() {
+            if (state.abortController) {
+                state.abortController.abort();
+                state.abortController = null;
+            }
+        });
+        $('#btn-compare-version').addEventListener('click', compareSelectedVersion);
+        $('#btn-revert-version').addEventListener('click', revertToSelectedVersion);
+        $('#version-select').addEventListener('change', function() { $('#version-compare').innerHTML = ''; });
+
+        // Write results
+        $('#btn-write-new-sheet').addEventListener('click', () => writeResults('newSheet'));
+        $('#btn-write-selection').addEventListener('click', () => writeResults('selection'));
+        $('#btn-write-target').addEventListener('click', () => writeResults($('#write-target').value));
+        $('#btn-write-overwrite').addEventListener('click', () => writeResults('selection', true));
+        $('#btn-undo-write').addEventListener('click', undoLastWrite);
+        $('#write-target').addEventListener('change', refreshWriteTargets);
+        $('#write-as-table').addEventListener('change', (e) => {
+            $('#write-table-name').disabled = !e.target.checked;
+            if (e.target.checked) $('#write-table-name').focus();
+        });
+
+        // Copy script
+        $('#btn-copy-script').addEventListener('click', copyScript);
+
+        // Refresh sheets on focus
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) refreshSheetLists();
+        });
+    }
+
+    // ── Actions ───────────────────────────────────────────────
+    async function captureData(target, mode, sheetName) {
+        const statusEl = target === 'input' ? $('#input-status') : $('#output-status');
+        const previewEl = target === 'input' ? $('#input-preview') : $('#output-preview');
+        const infoEl = target === 'input' ? $('#input-info') : $('#output-info');
+
+        showStatus(statusEl, 'loading', 'Reading data...');
+        const options = startExcelTask(target, statusEl);
+
+        try {
+            let result;
+            if (mode === 'selection') {
+                result = await readSelection(options);
+            } else if (mode === 'activeSheet') {
+                result = await readActiveSheet(options);
+            } else if (mode === 'sheet') {
+                result = await readSheet(sheetName, options);
+            }
+
+            if (!result.values || result.values.length === 0) {
+                throw new Error('No data found. Select a range with data.');
+            }
+
+            // Dates become Date objects; formats are kept as per-column hints
+            const values = applyValueTypes(result.values, result.numberFormat, result.valueTypes);
+            const types = profileColumnTypes(values, result.numberFormat);
+            if (target === 'input') {
+                state.inputData = values;
+                state.inputTypes = types;
+                state.inputSource = result.source;
+            } else {
+                state.outputData = values;
+                state.outputTypes = types;
+            }
+
+            renderPreview(previewEl, values);
+            infoEl.textContent = `${result.rows} rows × ${result.cols} columns`;
+            hideStatus(statusEl);
+            if (target === 'input') renderSensitiveColumns();
+            updatePromptEstimate();
+        } catch (e) {
+            showStatus(statusEl, 'error', e.message || 'Failed to read data.');
+        } finally {
+            endExcelTask(target, options.controller);
+        }
+    }
+
+    // Starts a cancellable Excel read / write in pane area `key`, aborting the one
+    // running there; its Cancel button appears once progress is reported.
+    function startExcelTask(key, statusEl) {
+        if (state.excelTasks[key]) state.excelTasks[key].abort();
+        const controller = new AbortController();
+        state.excelTasks[key] = controller;
+        return {
+            controller,
+            signal: controller.signal,
+            onProgress: (message) => {
+                showStatus(statusEl, 'loading', message);
+                $(`#btn-cancel-${key}`).style.display = '';
+            }
+        };
+    }
+
+    // Clears the area's task, unless a newer one has taken its place since
+    function endExcelTask(key, controller) {
+        if (state.excelTasks[key] !== controller) return;
+        delete state.excelTasks[key];
+        $(`#btn-cancel-${key}`).style.display = 'none';
+    }
+
+    // Shows the size and cost of the prompt Transform would send right now
+    function updatePromptEstimate() {
+        const el = $('#prompt-estimate');
+        if (!state.inputData || !state.outputData) {
+            el.style.display = 'none';
+            return;
+        }
+        const rules = $('#rules-textarea').value.trim();
+        const previousScript = $('#prev-script-textarea').value.trim();
+        const scriptLang = $('#script-language').value;
+        const columnTypes = { input: state.inputTypes, output: state.outputTypes };
+        try {
+            renderPromptEstimate(el, fitRequest(trim => ({
+                messages: [buildTransformTurn(state.inputData, state.outputData, rules, previousScript,
+                    scriptLang, state.extraInputs, columnTypes, trim)]
+            })));
+        } catch (e) {
+            el.textContent = e.message;
+            el.style.display = '';
+        }
+    }
+
+    // Sends a request body ({ messages }) to the AI — streamed or
+    // as a polled job, per the user's preference — with live progress in statusEl.
+    // The answer must match the proxy's transform schema. A response cut off at
+    // the output budget is asked for again with double the budget, up to the
+    // model's output limit.
+    async function askAi(body, signal, statusEl, liveEl, message) {
+        body = Object.assign(withSelectedModel(body), { schema: 'transform' });
+        try {
+            while (true) {
+                try {
+                    return await askAiOnce(body, signal, statusEl, liveEl, message);
+                } catch (e) {
+                    var limit = modelInfo().outputTokenLimit;
+                    var spent = e.maxTokens || body.maxTokens || modelInfo().maxOutputTokens;
+                    if (e.code !== 'output_truncated' || spent >= limit) throw e;
+                    body = Object.assign({}, body, { maxTokens: Math.min(spent * 2, limit) });
+                    message = 'Response was cut off; asking again with room for ' + body.maxTokens.toLocaleString() + ' tokens...';
+                    showStatus(statusEl, 'loading', message);
+                }
+            }
+        } finally {
+            liveEl.style.display = 'none';
+        }
+    }
+
+    async function askAiOnce(body, signal, statusEl, liveEl, message) {
+        if (getStreamingEnabled()) {
+            return await streamAiResponse(body, signal, function(text) {
+                showStatus(statusEl, 'loading', message + ' (~' + estimateTokens(text).toLocaleString() + ' tokens received)');
+                var explanation = extractPartialExplanation(text);
+                liveEl.textContent = explanation;
+                liveEl.style.display = explanation ? '' : 'none';
+            });
+        }
+        return await runAiJob(body, signal, function(job) {
+            showStatus(statusEl, 'loading', message + ' (AI working, ' + Math.round(job.elapsedMs / 1000) + 's)');
         });
+    }
 
-        // Write results
-        $('#btn-write-new-sheet').addEventListener('click', () => writeResults('newSheet'));
-        $('#btn-write-selection').addEventListener('click', () => writeResults('selection'));
-
-        // Copy script
-        $('#btn-copy-script').addEventListener('click', copyScript);
+    // Runs the transform in the worker, keeping statusEl updated with elapsed time
+    async function executeWithStatus(jsTransformSource, data, tables, signal, statusEl) {
+        var started = Date.now();
+        var message = 'Applying transformation to ' + (data.length - 1) + ' rows...';
+        var showExecStatus = function() {
+            var elapsed = Math.floor((Date.now() - started) / 1000);
+            showStatus(statusEl, 'loading', elapsed > 0 ? message + ' (' + elapsed + 's)' : message);
+        };
+        showExecStatus();
+        var ticker = setInterval(showExecStatus, 1000);
 
-        // Refresh sheets on focus
-        document.addEventListener('visibilitychange', () => {
-            if (!document.hidden) refreshSheetLists();
-        });
+        try {
+            return await executeJsTransform(jsTransformSource, data, {
+                tables: tables,
+                signal: signal,
+                onProgress: function(p) {
+                    if (p.phase === 'running' && p.done > 0) {
+                        message = 'Applying transformation: ' + p.done.toLocaleString() +
+                            ' of ' + p.total.toLocaleString() + ' rows...';
+                        showExecStatus();
+                    } else if (p.phase === 'receiving' && p.total > RESULT_CHUNK_ROWS) {
+                        message = 'Receiving results: ' + p.done.toLocaleString() +
+                            ' of ' + p.total.toLocaleString() + ' rows...';
+                        showExecStatus();
+                    }
+                }
+            });
+        } finally {
+            clearInterval(ticker);
+        }
     }
 
-    // ── Actions ───────────────────────────────────────────────
-    async function captureData(target, mode, sheetName) {
-        const statusEl = target === 'input' ? $('#input-status') : $('#output-status');
-        const previewEl = target === 'input' ? $('#input-preview') : $('#output-preview');
-        const infoEl = target === 'input' ? $('#input-info') : $('#output-info');
+    async function captureExtraInput(mode, sheetName) {
+        const statusEl = $('#extra-input-status');
+        const nameEl = $('#extra-input-name');
 
         showStatus(statusEl, 'loading', 'Reading data...');
+        const options = startExcelTask('extra-input', statusEl);
 
         try {
-            let result;
-            if (mode === 'selection') {
-                result = await readSelection();
-            } else if (mode === 'activeSheet') {
-                result = await readActiveSheet();
-            } else if (mode === 'sheet') {
-                result = await readSheet(sheetName);
-            }
+            const result = mode === 'selection' ? await readSelection(options) : await readSheet(sheetName, options);
 
             if (!result.values || result.values.length === 0) {
                 throw new Error('No data found. Select a range with data.');
             }
 
-            if (target === 'input') {
-                state.inputData = result.values;
-            } else {
-                state.outputData = result.values;
-            }
+            const name = nameEl.value.trim() || sheetFromAddress(result.address) || 'Table' + (state.extraInputs.length + 1);
+            const values = applyValueTypes(result.values, result.numberFormat, result.valueTypes);
+            const table = { name, data: values, address: result.address, source: result.source };
 
-            renderPreview(previewEl, result.values);
-            infoEl.textContent = `${result.rows} rows × ${result.cols} columns`;
-            hideStatus(statusEl);
+            // Re-capturing under an existing name replaces that table
+            const existing = state.extraInputs.findIndex(t => t.name === name);
+            if (existing !== -1) state.extraInputs[existing] = table;
+            else state.extraInputs.push(table);
+
+            nameEl.value = '';
+            renderExtraInputs();
+            renderSensitiveColumns();
+            updatePromptEstimate();
+            showStatus(statusEl, 'success', `${existing !== -1 ? 'Replaced' : 'Added'} table "${name}" (${result.rows} rows × ${result.cols} columns).`);
         } catch (e) {
             showStatus(statusEl, 'error', e.message || 'Failed to read data.');
+        } finally {
+            endExcelTask('extra-input', options.controller);
         }
     }
 
+    function removeExtraInput(name) {
+        state.extraInputs = state.extraInputs.filter(t => t.name !== name);
+        renderExtraInputs();
+        renderSensitiveColumns();
+        updatePromptEstimate();
+        hideStatus($('#extra-input-status'));
+    }
+
     async function runTransform(retryMode) {
         var statusEl = $('#transform-status');
+        var liveEl = $('#transform-live');
         var resultsEl = $('#results-section');
         resultsEl.classList.remove('visible');
         $('#btn-retry-transform').style.display = 'none';
@@ -556,26 +3454,49 @@ Respond with EXACTLY this JSON (no markdown fences, no extra text):
 
         var rules = $('#rules-textarea').value.trim();
         var previousScript = $('#prev-script-textarea').value.trim();
-        var scriptLangValue = $('#script-language').value;
-        var scriptLang = scriptLangValue === 'VBA' ? 'VBA' : 'Office Scripts (TypeScript)';
+        var scriptLang = $('#script-language').value;
 
         // Build prompt: new transform or retry fix
-        var prompt;
+        var columnTypes = { input: state.inputTypes, output: state.outputTypes };
+        var buildTurn;
         if (retryMode && state.lastJsTransform && state.lastExecError) {
-            prompt = buildFixPrompt(
-                state.inputData, state.outputData,
-                state.lastJsTransform, state.lastExecError, scriptLang
-            );
+            buildTurn = function(trim) {
+                return buildFixTurn(
+                    state.inputData, state.outputData,
+                    state.lastJsTransform, state.lastExecError, scriptLang, state.extraInputs, columnTypes, trim
+                );
+            };
+        } else if (retryMode && state.lastJsTransform && state.lastVerification && !state.lastVerification.passed) {
+            buildTurn = function(trim) {
+                return buildVerifyFixTurn(
+                    state.inputData, state.outputData,
+                    state.lastJsTransform, state.lastVerification, scriptLang, state.extraInputs, columnTypes, trim
+                );
+            };
         } else {
-            prompt = buildTransformPrompt(
-                state.inputData, state.outputData, rules, previousScript, scriptLang
-            );
+            buildTurn = function(trim) {
+                return buildTransformTurn(
+                    state.inputData, state.outputData, rules, previousScript, scriptLang, state.extraInputs, columnTypes, trim
+                );
+            };
+        }
+
+        // Size the prompt for the model, trimming it if needed
+        var fit;
+        try {
+            fit = fitRequest(function(trim) { return { messages: [buildTurn(trim)] }; });
+        } catch (e) {
+            showStatus(statusEl, 'error', e.message);
+            return;
         }
+        renderPromptEstimate($('#prompt-estimate'), fit);
+        var turn = fit.body.messages[0];
 
         // ── Phase 1: AI call ────────────────────────────────
-        showStatus(statusEl, 'loading', retryMode
+        var aiMessage = retryMode
             ? 'Asking AI to fix the transform function...'
-            : 'Analyzing pattern from sample data...');
+            : 'Analyzing pattern from sample data...';
+        showStatus(statusEl, 'loading', aiMessage);
         $('#btn-transform').disabled = true;
         $('#btn-cancel-transform').style.display = '';
 
@@ -583,119 +3504,765 @@ Respond with EXACTLY this JSON (no markdown fences, no extra text):
         if (state.abortController) state.abortController.abort();
         state.abortController = new AbortController();
 
+        var maxRepairs = getRepairAttempts();
+        var verification = null;
+        var usage = null;
+
         try {
-            var response = await apiCall('/api/transform', { prompt }, state.abortController.signal);
+            for (var attempt = 0; ; attempt++) {
+                var response = await askAi({ messages: [turn] }, state.abortController.signal, statusEl, liveEl, aiMessage);
+                usage = addUsage(usage, response.usage);
 
-            showStatus(statusEl, 'loading', 'Parsing AI response...');
+                showStatus(statusEl, 'loading', 'Parsing AI response...');
 
-            var parsed;
-            try {
-                parsed = parseTransformResponse(response.content);
-            } catch (parseErr) {
-                // Show raw response on parse failure — only show the script section, not the data/write section
-                showStatus(statusEl, 'error', 'Failed to parse AI response: ' + parseErr.message);
-                $('#result-script-code').textContent = response.content;
-                $('#result-preview-container').innerHTML = '';
-                $('#result-preview-info').textContent = '';
-                $('#result-explanation').textContent = '';
-                $('#js-transform-section').style.display = 'none';
-                $('#btn-write-new-sheet').style.display = 'none';
-                $('#btn-write-selection').style.display = 'none';
-                resultsEl.classList.add('visible');
-                return;
-            }
+                var parsed;
+                try {
+                    parsed = parseTransformResponse(response.content);
+                } catch (parseErr) {
+                    // Show raw response on parse failure — only show the script section, not the data/write section
+                    showStatus(statusEl, 'error', 'Failed to parse AI response: ' + parseErr.message);
+                    $('#result-script-code').textContent = response.content;
+                    clearResultView('');
+                    renderUsage(usage, response.servedBy, response.template);
+                    $('#result-explanation').textContent = '';
+                    $('#js-transform-section').style.display = 'none';
+                    $('#btn-write-new-sheet').style.display = 'none';
+                    $('#btn-write-selection').style.display = 'none';
+                    $('#write-targets').style.display = 'none';
+                    $('#btn-save-recipe').style.display = 'none';
+                    $('#refine-section').style.display = 'none';
+                    resultsEl.classList.add('visible');
+                    return;
+                }
 
-            // ── Phase 2: Local execution ────────────────────
-            var transformedData;
+                // ── Phase 2: Local execution ────────────────────
+                var transformedData;
+                var numberFormats = null;
 
-            if (parsed.jsTransform) {
-                // New format: execute JS locally
-                var rowCount = state.inputData.length - 1;
-                showStatus(statusEl, 'loading',
-                    'Applying transformation to ' + rowCount + ' rows...');
+                if (parsed.jsTransform) {
+                    // New format: execute JS locally
+                    var execSignal = state.abortController.signal;
+                    try {
+                        var run = await executeWithStatus(parsed.jsTransform, state.inputData, state.extraInputs, execSignal, statusEl);
+                        transformedData = run.data;
+                        numberFormats = run.numberFormats;
+                    } catch (execErr) {
+                        // A user cancel is not a function failure — nothing to retry
+                        if (execSignal.aborted) throw execErr;
 
-                try {
-                    transformedData = await executeJsTransform(parsed.jsTransform, state.inputData);
-                } catch (execErr) {
-                    // Store for retry
-                    state.lastJsTransform = parsed.jsTransform;
-                    state.lastExecError = execErr.message;
-
-                    showStatus(statusEl, 'error',
-                        'Local execution failed: ' + execErr.message);
-                    $('#result-explanation').textContent = parsed.explanation || '';
-                    $('#result-script-code').textContent = parsed.script || '';
-                    $('#result-js-transform-code').textContent = parsed.jsTransform;
-                    $('#js-transform-section').style.display = '';
-                    $('#result-preview-container').innerHTML =
-                        '<div class="empty-state">Transform function failed — see generated code below</div>';
-                    $('#result-preview-info').textContent = '';
-                    resultsEl.classList.add('visible');
-                    $('#btn-retry-transform').style.display = '';
+                        // Store for retry
+                        state.lastJsTransform = parsed.jsTransform;
+                        state.lastExecError = execErr.message;
+                        state.lastVerification = null;
+
+                        showStatus(statusEl, 'error',
+                            'Local execution failed: ' + execErr.message);
+                        $('#result-explanation').textContent = parsed.explanation || '';
+                        $('#result-script-code').textContent = parsed.script || '';
+                        $('#result-js-transform-code').textContent = parsed.jsTransform;
+                        $('#js-transform-section').style.display = '';
+                        clearResultView('<div class="empty-state">Transform function failed — see generated code below</div>');
+                        renderUsage(usage, response.servedBy, response.template);
+                        $('#btn-save-recipe').style.display = 'none';
+                        $('#refine-section').style.display = 'none';
+                        resultsEl.classList.add('visible');
+                        $('#btn-retry-transform').style.display = '';
+                        return;
+                    }
+                } else {
+                    showStatus(statusEl, 'error', 'AI did not return a transform function.');
                     return;
                 }
-            } else if (parsed.transformedData) {
-                // Backward-compatible: AI returned data directly
-                transformedData = parsed.transformedData;
-            } else {
-                showStatus(statusEl, 'error', 'AI did not return a transform function or data.');
-                return;
+
+                // ── Phase 3: Verify against the Output Example ──
+                showStatus(statusEl, 'loading', 'Verifying output against the Output Example...');
+                verification = verifyTransformOutput(transformedData, state.outputData);
+                if (verification.passed || !parsed.jsTransform || attempt >= maxRepairs) break;
+
+                fit = fitRequest(function(trim) {
+                    return {
+                        messages: [buildVerifyFixTurn(
+                            state.inputData, state.outputData, parsed.jsTransform, verification, scriptLang, state.extraInputs, columnTypes, trim
+                        )]
+                    };
+                });
+                renderPromptEstimate($('#prompt-estimate'), fit);
+                turn = fit.body.messages[0];
+                aiMessage = 'Output differs from the Output Example: ' + formatMatchScore(verification) +
+                    '. Asking AI to repair (attempt ' + (attempt + 1) + ' of ' + maxRepairs + ')...';
+                showStatus(statusEl, 'loading', aiMessage);
             }
 
             // ── Success ─────────────────────────────────────
-            state.result = {
+            var result = {
                 transformedData: transformedData,
+                numberFormats: numberFormats,
                 jsTransform: parsed.jsTransform || null,
                 script: parsed.script,
-                explanation: parsed.explanation
+                explanation: parsed.explanation,
+                scriptLanguage: scriptLang,
+                inputHeader: getHeaderSignature(state.inputData),
+                tableHeaders: getTableSignatures(state.extraInputs),
+                usage: usage,
+                servedBy: response.servedBy || null,
+                template: response.template || null
             };
-            state.lastJsTransform = parsed.jsTransform || null;
-            state.lastExecError = null;
-
-            // Restore write buttons (may have been hidden by a previous parse error)
-            $('#btn-write-new-sheet').style.display = '';
-            $('#btn-write-selection').style.display = '';
-
-            renderPreview($('#result-preview-container'), transformedData);
-            $('#result-preview-info').textContent = transformedData
-                ? transformedData.length + ' rows \u00d7 ' + (transformedData[0] || []).length + ' columns'
-                : '';
-            $('#result-explanation').textContent = parsed.explanation || '';
-            $('#result-script-code').textContent = parsed.script || '';
-            if (parsed.jsTransform) {
-                $('#result-js-transform-code').textContent = parsed.jsTransform;
-                $('#js-transform-section').style.display = '';
+            showTransformResult(result, verification);
+            resetVersions(result, verification, [
+                turn,
+                { role: 'assistant', content: response.content }
+            ], !!fit.masked);
+
+            // Only a function that reproduces the Output Example counts as complete
+            if (verification.passed) {
+                showStatus(statusEl, 'success', 'Transformation complete! Output matches the Output Example.');
             } else {
-                $('#js-transform-section').style.display = 'none';
+                showStatus(statusEl, 'warning', 'Transform ran, but the output does not match the Output Example: ' +
+                    formatMatchScore(verification) + '. Review the differences below before writing.');
+                if (parsed.jsTransform) $('#btn-retry-transform').style.display = '';
             }
-            resultsEl.classList.add('visible');
-            showStatus(statusEl, 'success', 'Transformation complete!');
         } catch (e) {
             showStatus(statusEl, 'error', e.message || 'Transform failed.');
         } finally {
             $('#btn-transform').disabled = false;
             $('#btn-cancel-transform').style.display = 'none';
+            liveEl.style.display = 'none';
+            state.abortController = null;
+        }
+    }
+
+    function showTransformResult(result, verification) {
+        state.result = result;
+        state.lastJsTransform = result.jsTransform || null;
+        state.lastExecError = null;
+        state.lastVerification = verification;
+
+        // Restore write buttons (may have been hidden by a previous parse error)
+        $('#btn-write-new-sheet').style.display = '';
+        $('#btn-write-selection').style.display = '';
+        $('#write-targets').style.display = '';
+        refreshWriteTargets();
+        state.lastOutput = null;
+        $('#btn-link-output').style.display = 'none';
+        $('#btn-save-recipe').style.display = result.jsTransform ? '' : 'none';
+        $('#refine-section').style.display = result.jsTransform ? '' : 'none';
+        $('#version-compare').innerHTML = '';
+
+        var data = result.transformedData;
+        $('#result-preview-info').textContent = data
+            ? data.length + ' rows \u00d7 ' + (data[0] || []).length + ' columns'
+            : '';
+        // Open on the differences when the result doesn't match the example
+        state.resultPage = 0;
+        state.resultView = verification && !verification.passed ? 'diff' : 'result';
+        renderResultView();
+        renderUsage(result.usage, result.servedBy, result.template);
+        $('#result-explanation').textContent = result.explanation || '';
+        $('#result-script-code').textContent = result.script || '';
+        if (result.jsTransform) {
+            $('#result-js-transform-code').textContent = result.jsTransform;
+            $('#js-transform-section').style.display = '';
+        } else {
+            $('#js-transform-section').style.display = 'none';
+        }
+        renderVerification($('#result-verification'), verification);
+        $('#results-section').classList.add('visible');
+    }
+
+    async function applyRecipe(force) {
+        var statusEl = $('#recipe-status');
+        var recipe = findRecipe($('#recipe-select').value);
+        $('#btn-recipe-force').style.display = 'none';
+
+        if (!recipe) {
+            showStatus(statusEl, 'error', 'Select a recipe first.');
+            return;
+        }
+        if (!state.inputData) {
+            showStatus(statusEl, 'error', 'No input data captured. Use the buttons above to select data.');
+            return;
+        }
+
+        // The recipe's function indexes columns by the header it was built for
+        var headerCheck = compareHeaderSignature(recipe.inputHeader, getHeaderSignature(state.inputData));
+        if (!headerCheck.matches && !force) {
+            showStatus(statusEl, 'error', 'Input header does not match this recipe. ' + headerCheck.message);
+            $('#btn-recipe-force').style.display = '';
+            return;
+        }
+
+        // ...and expects the same additional tables, by name
+        var tableProblems = [];
+        (recipe.tableHeaders || []).forEach(function(expected) {
+            var table = state.extraInputs.find(function(t) { return t.name === expected.name; });
+            if (!table) {
+                tableProblems.push('Missing table "' + expected.name + '".');
+                return;
+            }
+            var check = compareHeaderSignature(expected.header, getHeaderSignature(table.data));
+            if (!check.matches) tableProblems.push('Table "' + expected.name + '": ' + check.message);
+        });
+        if (tableProblems.length && !force) {
+            showStatus(statusEl, 'error', 'Additional tables do not match this recipe. ' + tableProblems.join(' '));
+            $('#btn-recipe-force').style.display = '';
+            return;
+        }
+
+        $('#results-section').classList.remove('visible');
+        $('#btn-retry-transform').style.display = 'none';
+        $('#btn-apply-recipe').disabled = true;
+        $('#btn-transform').disabled = true;
+        $('#btn-cancel-transform').style.display = '';
+
+        if (state.abortController) state.abortController.abort();
+        state.abortController = new AbortController();
+
+        try {
+            showStatus(statusEl, 'loading', 'Applying recipe "' + recipe.name + '" to ' +
+                (state.inputData.length - 1) + ' rows...');
+            var run = await executeJsTransform(recipe.jsTransform, state.inputData, {
+                tables: state.extraInputs,
+                signal: state.abortController.signal
+            });
+            var transformedData = run.data;
+
+            // Verify only when the user captured an example for this run
+            var verification = state.outputData ? verifyTransformOutput(transformedData, state.outputData) : null;
+
+            var result = {
+                transformedData: transformedData,
+                numberFormats: run.numberFormats,
+                jsTransform: recipe.jsTransform,
+                script: recipe.script,
+                explanation: recipe.explanation,
+                scriptLanguage: recipe.scriptLanguage,
+                inputHeader: getHeaderSignature(state.inputData),
+                tableHeaders: getTableSignatures(state.extraInputs)
+            };
+            showTransformResult(result, verification);
+            resetVersions(result, verification, [], false);
+
+            if (verification && !verification.passed) {
+                showStatus(statusEl, 'warning', 'Recipe applied, but the output does not match the Output Example: ' +
+                    formatMatchScore(verification) + '.');
+                $('#btn-retry-transform').style.display = '';
+            } else {
+                showStatus(statusEl, 'success', 'Recipe "' + recipe.name + '" applied. Use the write buttons to output the result.');
+            }
+        } catch (e) {
+            showStatus(statusEl, 'error', 'Recipe failed: ' + (e.message || 'unknown error'));
+        } finally {
+            $('#btn-apply-recipe').disabled = false;
+            $('#btn-transform').disabled = false;
+            $('#btn-cancel-transform').style.display = 'none';
+            state.abortController = null;
+        }
+    }
+
+    async function runRefinement() {
+        var statusEl = $('#refine-status');
+        var liveEl = $('#refine-live');
+        var instruction = $('#refine-input').value.trim();
+        var current = state.result;
+
+        if (!current || !current.jsTransform) {
+            showStatus(statusEl, 'error', 'Run a transform first.');
+            return;
+        }
+        if (!instruction) {
+            showStatus(statusEl, 'error', 'Describe what should change, e.g. "also drop the Notes column".');
+            $('#refine-input').focus();
+            return;
+        }
+        if (!state.inputData) {
+            showStatus(statusEl, 'error', 'No input data captured. Use the buttons above to select data.');
+            return;
+        }
+
+        var scriptLang = current.scriptLanguage === 'OfficeScripts' ? 'OfficeScripts' : 'VBA';
+
+        // Untrimmed, the follow-up continues the conversation. If that no longer
+        // fits, it starts afresh with the data sample, trimmed as needed. A
+        // conversation sent without masking is not resent in privacy mode.
+        var continueConversation = state.conversation.length > 0 && (!getPrivacyMode() || state.conversationMasked);
+        var fit;
+        try {
+            fit = fitRequest(function(trim) {
+                if (trim.level === 0 && continueConversation) {
+                    return {
+                        messages: state.conversation.concat([
+                            buildRefineTurn(instruction, current.jsTransform, null, scriptLang, state.extraInputs)
+                        ])
+                    };
+                }
+                if (state.conversation.length) {
+                    trim.notes.push(continueConversation ? 'earlier conversation left out'
+                        : 'earlier conversation left out (it was sent without privacy masking)');
+                }
+                return {
+                    messages: [buildRefineTurn(instruction, current.jsTransform, state.inputData, scriptLang, state.extraInputs, trim)]
+                };
+            });
+        } catch (e) {
+            showStatus(statusEl, 'error', e.message);
+            return;
+        }
+        renderPromptEstimate($('#refine-estimate'), fit);
+        var messages = fit.body.messages;
+
+        $('#btn-refine').disabled = true;
+        $('#btn-transform').disabled = true;
+        $('#btn-cancel-refine').style.display = '';
+        $('#btn-retry-transform').style.display = 'none';
+
+        if (state.abortController) state.abortController.abort();
+        state.abortController = new AbortController();
+        var signal = state.abortController.signal;
+
+        try {
+            var response = await askAi({ messages: messages }, signal, statusEl, liveEl, 'Refining transform...');
+            var parsed = parseTransformResponse(response.content);
+            if (!parsed.jsTransform) {
+                throw new Error('AI did not return a transform function.');
+            }
+
+            var run;
+            try {
+                run = await executeWithStatus(parsed.jsTransform, state.inputData, state.extraInputs, signal, statusEl);
+            } catch (execErr) {
+                if (signal.aborted) throw execErr;
+                throw new Error('The refined function failed: ' + execErr.message + ' The current version is unchanged.');
+            }
+
+            var verification = state.outputData ? verifyTransformOutput(run.data, state.outputData) : null;
+            var result = {
+                transformedData: run.data,
+                numberFormats: run.numberFormats,
+                jsTransform: parsed.jsTransform,
+                script: parsed.script,
+                explanation: parsed.explanation,
+                scriptLanguage: current.scriptLanguage,
+                inputHeader: getHeaderSignature(state.inputData),
+                tableHeaders: getTableSignatures(state.extraInputs),
+                usage: addUsage(null, response.usage),
+                servedBy: response.servedBy || null,
+                template: response.template || null
+            };
+            showTransformResult(result, verification);
+            addVersion(result, verification, instruction,
+                messages.concat([{ role: 'assistant', content: response.content }]), !!fit.masked);
+            $('#refine-input').value = '';
+
+            var message = 'Refinement applied as v' + state.versions.length + '.';
+            if (verification && !verification.passed) {
+                // Follow-ups often change the format on purpose, so this is informational
+                showStatus(statusEl, 'info', message + ' Output now differs from the Output Example: ' +
+                    formatMatchScore(verification) + '.');
+            } else {
+                showStatus(statusEl, 'success', message);
+            }
+        } catch (e) {
+            showStatus(statusEl, 'error', e.message || 'Refinement failed.');
+        } finally {
+            $('#btn-refine').disabled = false;
+            $('#btn-transform').disabled = false;
+            $('#btn-cancel-refine').style.display = 'none';
             state.abortController = null;
         }
     }
 
-    async function writeResults(mode) {
+    function compareSelectedVersion() {
+        var index = parseInt($('#version-select').value, 10);
+        var container = $('#version-compare');
+        if (!(index > 0)) {
+            container.innerHTML = '<div class="empty-state">The first version has nothing to compare with.</div>';
+            return;
+        }
+        var older = state.versions[index - 1];
+        var newer = state.versions[index];
+        var items = compareVersions(older, newer).map(function(line) { return '<li>' + escapeHtml(line) + '</li>'; }).join('');
+        container.innerHTML = '<div class="version-compare-title">v' + (index + 1) + ' compared with v' + index + '</div>' +
+            '<ul>' + items + '</ul>' +
+            (newer.result.explanation ? '<div class="version-compare-note">' + escapeHtml(newer.result.explanation) + '</div>' : '');
+    }
+
+    function revertToSelectedVersion() {
+        var index = parseInt($('#version-select').value, 10);
+        var version = state.versions[index];
+        if (!version) return;
+
+        showTransformResult(version.result, version.verification);
+        state.activeVersion = index;
+        state.conversation = version.conversation.slice();
+        state.conversationMasked = version.masked;
+        renderVersionList();
+        showStatus($('#refine-status'), 'success', 'Reverted to v' + (index + 1) + '. Further refinements continue from here.');
+    }
+
+    function saveCurrentAsRecipe() {
+        var statusEl = $('#recipe-status');
+        var name = $('#recipe-name').value.trim();
+
+        if (!state.result || !state.result.jsTransform) {
+            showStatus(statusEl, 'error', 'Run a transform first. Only results with a generated function can be saved.');
+            return;
+        }
+        if (!name) {
+            showStatus(statusEl, 'error', 'Enter a name for the recipe.');
+            $('#recipe-name').focus();
+            return;
+        }
+
+        var recipes = getRecipes();
+        var existing = recipes.find(function(r) { return r.name === name; });
+        var now = new Date().toISOString();
+        var recipe = {
+            id: existing ? existing.id : newRecipeId(),
+            name: name,
+            jsTransform: state.result.jsTransform,
+            script: state.result.script || '',
+            explanation: state.result.explanation || '',
+            scriptLanguage: state.result.scriptLanguage || getScriptLanguage(),
+            inputHeader: state.result.inputHeader || [],
+            tableHeaders: state.result.tableHeaders || [],
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+        if (existing) recipes[recipes.indexOf(existing)] = recipe;
+        else recipes.push(recipe);
+
+        saveRecipes(recipes);
+        refreshRecipeList(recipe.id);
+        showStatus(statusEl, 'success', (existing ? 'Updated' : 'Saved') + ' recipe "' + name + '".');
+    }
+
+    function renameSelectedRecipe() {
+        var statusEl = $('#recipe-status');
+        var recipes = getRecipes();
+        var recipe = recipes.find(function(r) { return r.id === $('#recipe-select').value; });
+        var name = $('#recipe-name').value.trim();
+
+        if (!recipe) {
+            showStatus(statusEl, 'error', 'Select a recipe to rename.');
+            return;
+        }
+        if (!name) {
+            showStatus(statusEl, 'error', 'Enter the new name.');
+            $('#recipe-name').focus();
+            return;
+        }
+        if (recipes.some(function(r) { return r.name === name && r.id !== recipe.id; })) {
+            showStatus(statusEl, 'error', 'A recipe named "' + name + '" already exists.');
+            return;
+        }
+
+        var oldName = recipe.name;
+        recipe.name = name;
+        recipe.updatedAt = new Date().toISOString();
+        saveRecipes(recipes);
+        refreshRecipeList(recipe.id);
+        showStatus(statusEl, 'success', 'Renamed "' + oldName + '" to "' + name + '".');
+    }
+
+    function deleteSelectedRecipe() {
+        var statusEl = $('#recipe-status');
+        var recipe = findRecipe($('#recipe-select').value);
+        if (!recipe) {
+            showStatus(statusEl, 'error', 'Select a recipe to delete.');
+            return;
+        }
+        saveRecipes(getRecipes().filter(function(r) { return r.id !== recipe.id; }));
+        refreshRecipeList();
+        showStatus(statusEl, 'success', 'Deleted recipe "' + recipe.name + '".');
+    }
+
+    function exportRecipes() {
+        var recipes = getRecipes();
+        if (recipes.length === 0) {
+            showStatus($('#recipe-status'), 'error', 'No recipes to export.');
+            return;
+        }
+        var json = JSON.stringify({ format: RECIPE_FORMAT, version: RECIPE_VERSION, recipes: recipes }, null, 2);
+        var blob = new Blob([json], { type: 'application/json' });
+        var link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'ai-transform-recipes.json';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(function() { URL.revokeObjectURL(link.href); }, 1000);
+        showStatus($('#recipe-status'), 'success', 'Exported ' + recipes.length + ' recipe(s).');
+    }
+
+    async function importRecipes(file) {
+        var statusEl = $('#recipe-status');
+        try {
+            var imported = parseRecipeFile(await file.text());
+            var recipes = getRecipes();
+            imported.forEach(function(recipe) {
+                // Keep both on a name clash; teammates' recipes never overwrite local ones
+                var name = recipe.name;
+                for (var n = 2; recipes.some(function(r) { return r.name === name; }); n++) {
+                    name = recipe.name + ' (' + n + ')';
+                }
+                recipe.name = name;
+                recipe.id = newRecipeId();
+                recipes.push(recipe);
+            });
+            saveRecipes(recipes);
+            refreshRecipeList();
+            showStatus(statusEl, 'success', 'Imported ' + imported.length + ' recipe(s).');
+        } catch (e) {
+            showStatus(statusEl, 'error', 'Import failed: ' + e.message);
+        }
+    }
+
+    const WRITE_BUTTONS = ['#btn-write-new-sheet', '#btn-write-selection', '#btn-write-target'];
+    const TABLE_FORMAT_MODES = new Set(['newSheet', 'selection', 'replaceSheet']);
+
+    function writeOptionsError(mode, sheetName, tableName, target) {
+        if (mode === 'newSheet' && sheetName) return sheetNameError(sheetName);
+        if (TABLE_FORMAT_MODES.has(mode) && $('#write-as-table').checked) {
+            const error = tableName ? tableNameError(tableName) : 'Enter a name for the Excel Table.';
+            if (error) return error;
+        }
+        if (mode !== 'newSheet' && mode !== 'selection' && !target) return 'Select a target to write to.';
+        return null;
+    }
+
+    // mode: newSheet | selection | appendTable | replaceSheet | namedRange.
+    // `overwrite` confirms a selection write over cells that have content.
+    async function writeResults(mode, overwrite) {
         if (!state.result || !state.result.transformedData) return;
 
         const statusEl = $('#transform-status');
+        $('#btn-write-overwrite').style.display = 'none';
+        const sheetName = $('#write-sheet-name').value.trim();
+        const tableName = TABLE_FORMAT_MODES.has(mode) && $('#write-as-table').checked
+            ? $('#write-table-name').value.trim()
+            : '';
+        const target = $('#write-target-item').value;
+
+        const invalid = writeOptionsError(mode, sheetName, tableName, target);
+        if (invalid) {
+            showStatus(statusEl, 'error', invalid);
+            return;
+        }
+
         showStatus(statusEl, 'loading', 'Writing results to Excel...');
 
+        const data = state.result.transformedData;
+        const formats = resolveColumnFormats(data, state.result.numberFormats, state.outputTypes);
+        const options = startExcelTask('write', statusEl);
+        options.suspendUpdates = getSuspendDuringWrite();
+        options.sheetName = sheetName;
+        options.tableName = tableName;
+        options.overwrite = !!overwrite;
+        WRITE_BUTTONS.forEach(id => { $(id).disabled = true; });
+
+        const asTable = tableName ? ` as table ${tableName}` : '';
         try {
             if (mode === 'newSheet') {
-                const name = await writeToNewSheet(state.result.transformedData);
-                showStatus(statusEl, 'success', `Data written to new sheet: ${name}`);
+                const name = await writeToNewSheet(data, formats, options);
+                showStatus(statusEl, 'success', `Data written to new sheet: ${name}${asTable}`);
+                refreshSheetLists();
+            } else if (mode === 'selection') {
+                await writeToSelection(data, formats, options);
+                showStatus(statusEl, 'success', `Data written to current selection${asTable}.`);
+            } else if (mode === 'replaceSheet') {
+                await replaceSheetContents(target, data, formats, options);
+                showStatus(statusEl, 'success', `Contents of sheet ${target} replaced${asTable}.`);
+            } else if (mode === 'namedRange') {
+                const address = await writeToNamedRange(target, data, formats, options);
+                showStatus(statusEl, 'success', `Data written to ${target}, which now refers to ${address}.`);
             } else {
-                await writeToSelection(state.result.transformedData);
-                showStatus(statusEl, 'success', 'Data written to current selection.');
+                const appended = await appendToTable(target, data, formats, options);
+                showStatus(statusEl, 'success', `${appended.rows.toLocaleString()} rows appended to table ${target}.` +
+                    (appended.skipped.length ? ` Columns not in the table were skipped: ${appended.skipped.join(', ')}.` : ''));
+            }
+            if (tableName) refreshWriteTargets();
+            state.lastOutput = options.output || null;
+            $('#btn-link-output').style.display =
+                state.lastOutput && state.result.jsTransform && state.inputSource ? '' : 'none';
+        } catch (e) {
+            if (e.overwriteCount) {
+                showStatus(statusEl, 'warning', e.message + ' Click Overwrite to write anyway; Undo Last Write can restore them.');
+                $('#btn-write-overwrite').style.display = '';
+            } else {
+                showStatus(statusEl, 'error', e.message || 'Failed to write data.');
+            }
+        } finally {
+            endExcelTask('write', options.controller);
+            WRITE_BUTTONS.forEach(id => { $(id).disabled = false; });
+            // A cancelled write still has an undo record for the rows it did write
+            if (options.undo) setLastWrite(options.undo);
+        }
+    }
+
+    function setLastWrite(undo) {
+        state.lastWrite = undo;
+        const btn = $('#btn-undo-write');
+        btn.style.display = undo ? '' : 'none';
+        btn.title = undo ? 'Undo ' + undo.label : '';
+    }
+
+    async function undoLastWrite() {
+        const undo = state.lastWrite;
+        if (!undo) return;
+
+        const statusEl = $('#transform-status');
+        showStatus(statusEl, 'loading', `Undoing ${undo.label}...`);
+        $('#btn-undo-write').disabled = true;
+        WRITE_BUTTONS.forEach(id => { $(id).disabled = true; });
+        try {
+            await undoWrite(undo, {
+                onProgress: (message) => showStatus(statusEl, 'loading', message),
+                suspendUpdates: getSuspendDuringWrite()
+            });
+            setLastWrite(null);
+            showStatus(statusEl, 'success', `Undid ${undo.label}.`);
+            if (undo.kind === 'newSheet') refreshSheetLists();
+        } catch (e) {
+            showStatus(statusEl, 'error', 'Undo failed: ' + (e.message || e));
+        } finally {
+            $('#btn-undo-write').disabled = false;
+            WRITE_BUTTONS.forEach(id => { $(id).disabled = false; });
+        }
+    }
+
+    // Fills the target list for the chosen "Other targets" kind
+    async function refreshWriteTargets() {
+        const selectEl = $('#write-target-item');
+        const kind = $('#write-target').value;
+        const current = selectEl.value;
+        try {
+            const names = kind === 'appendTable' ? await getTableNames()
+                : kind === 'namedRange' ? await getRangeNames()
+                : await getSheetNames();
+            const empty = kind === 'appendTable' ? 'No tables in this workbook'
+                : kind === 'namedRange' ? 'No named ranges in this workbook'
+                : '-- Select Sheet --';
+            selectEl.innerHTML = '';
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = names.length ? '-- Select --' : empty;
+            selectEl.appendChild(placeholder);
+            names.forEach(name => {
+                const opt = document.createElement('option');
+                opt.value = name;
+                opt.textContent = name;
+                selectEl.appendChild(opt);
+            });
+            selectEl.value = names.includes(current) ? current : '';
+        } catch (e) {
+            console.warn('Could not load write targets:', e);
+        }
+    }
+
+    // Links the shown result's function to the input it was run on and the
+    // block it was just written to
+    async function linkCurrentResult() {
+        var statusEl = $('#link-status');
+        $('#link-header .chevron').classList.add('open');
+        $('#link-body').classList.add('open');
+
+        var missing = state.extraInputs.filter(function(t) { return !t.source; });
+        if (!state.result || !state.result.jsTransform || !state.inputSource || !state.lastOutput || missing.length) {
+            showStatus(statusEl, 'error', 'Write a result with a generated function first, from input captured in this session.');
+            return;
+        }
+
+        var output = state.lastOutput;
+        var link = {
+            id: 'l_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8),
+            name: state.inputSource.sheetName + ' \u2192 ' + (output.rangeName || output.tableName || output.sheetName),
+            jsTransform: state.result.jsTransform,
+            inputHeader: getHeaderSignature(state.inputData),
+            source: state.inputSource,
+            tables: state.extraInputs.map(function(t) {
+                return { name: t.name, source: t.source, header: getHeaderSignature(t.data) };
+            }),
+            output: output,
+            outputTypes: state.outputTypes,
+            paused: false,
+            lastRun: new Date().toISOString(),
+            lastError: null
+        };
+        if (outputOverlapsSource(link, output.rows, output.cols)) {
+            showStatus(statusEl, 'error', 'The output overlaps its source range (or shares a sheet captured whole), ' +
+                'so every refresh would trigger another. Write the result elsewhere to link it.');
+            return;
+        }
+
+        try {
+            await saveLinks(getLinks().concat([link]));
+            await watchLinkSources();
+            $('#btn-link-output').style.display = 'none';
+            renderLinks();
+            showStatus(statusEl, 'success', 'Linked "' + link.name + '". It refreshes when the source changes.');
+        } catch (e) {
+            showStatus(statusEl, 'error', 'Could not create link: ' + e.message);
+        }
+    }
+
+    async function linkAction(action, id) {
+        var statusEl = $('#link-status');
+        try {
+            if (action === 'pause') {
+                clearTimeout(state.linkTimers[id]);
+                await updateLink(id, { paused: true });
+            } else if (action === 'resume') {
+                // Catch up on edits made while paused
+                await updateLink(id, { paused: false, lastError: null });
+                await watchLinkSources();
+                runLink(id);
+            } else if (action === 'run') {
+                runLink(id);
+            } else if (action === 'remove') {
+                clearTimeout(state.linkTimers[id]);
+                await saveLinks(getLinks().filter(function(l) { return l.id !== id; }));
             }
+            hideStatus(statusEl);
         } catch (e) {
-            showStatus(statusEl, 'error', e.message || 'Failed to write data.');
+            showStatus(statusEl, 'error', e.message);
+        }
+        renderLinks();
+    }
+
+    function renderLinks() {
+        var listEl = $('#link-list');
+        var links = getLinks();
+        listEl.innerHTML = '';
+        if (!links.length) {
+            listEl.innerHTML = '<li class="empty-state">No live links. Write a result, then click Link to Source.</li>';
+            return;
         }
+        links.forEach(function(link) {
+            var status = state.linkRuns[link.id] ? 'Refreshing...'
+                : link.lastError ? 'Paused: ' + link.lastError
+                : link.paused ? 'Paused'
+                : 'Active' + (link.lastRun ? ', last refreshed ' + new Date(link.lastRun).toLocaleString() : '');
+            var item = document.createElement('li');
+            item.className = link.lastError ? 'link-error' : '';
+            var label = document.createElement('span');
+            label.innerHTML = '<strong>' + escapeHtml(link.name) + '</strong><br>' + escapeHtml(status);
+            label.title = status;
+            var actions = document.createElement('div');
+            actions.className = 'btn-group';
+            [[link.paused ? 'resume' : 'pause', link.paused ? 'Resume' : 'Pause'], ['run', 'Refresh'], ['remove', 'Remove']]
+                .forEach(function(def) {
+                    if (def[0] === 'run' && link.paused) return;
+                    var btn = document.createElement('button');
+                    btn.className = 'btn btn-secondary btn-small';
+                    btn.dataset.action = def[0];
+                    btn.dataset.id = link.id;
+                    btn.textContent = def[1];
+                    actions.appendChild(btn);
+                });
+            item.appendChild(label);
+            item.appendChild(actions);
+            listEl.appendChild(item);
+        });
     }
 
     function copyScript() {
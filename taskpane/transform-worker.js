@@ -0,0 +1,139 @@
+/* ============================================================
+   Excel AI Transform — Sandboxed Transform Worker
+   Runs the AI-generated jsTransform off the main thread, with
+   network and storage globals removed before any AI code loads.
+   The pane starts this worker from a blob URL inside a sandboxed
+   iframe (see executeJsTransform in app.js), so it inherits that
+   iframe's Content-Security-Policy: no connections and no script
+   loads, which also blocks dynamic import(), a language feature
+   no global can take away.
+   ============================================================ */
+
+(function () {
+    'use strict';
+
+    // Capture what we need before locking the global scope down
+    const post = self.postMessage.bind(self);
+
+    // ── Sandbox lockdown ──────────────────────────────────────
+    // Workers already have no DOM or localStorage; these are the
+    // remaining ways out (network, storage, spawning more code).
+    // postMessage goes too: only this file reports back (through
+    // `post`), so the AI code cannot fake a progress or done message.
+    const BLOCKED_GLOBALS = [
+        'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'WebTransport',
+        'importScripts', 'indexedDB', 'caches', 'BroadcastChannel',
+        'Worker', 'SharedWorker', 'Request', 'Response',
+        'postMessage', 'MessageChannel'
+    ];
+
+    BLOCKED_GLOBALS.forEach(function (name) {
+        // Remove the property wherever it lives on the prototype chain
+        for (let obj = self; obj; obj = Object.getPrototypeOf(obj)) {
+            if (Object.prototype.hasOwnProperty.call(obj, name)) {
+                try { delete obj[name]; } catch (_) {}
+            }
+        }
+        try {
+            Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+        } catch (_) {}
+    });
+
+    // ── Execution ─────────────────────────────────────────────
+    function run(msg) {
+        const factory = new Function('"use strict"; return (' + msg.source + ')');
+        const transformFn = factory();
+
+        if (typeof transformFn !== 'function') {
+            throw new Error('AI did not return a valid function.');
+        }
+
+        // Report progress as the function walks the rows: every read of a row
+        // index past the next step posts how far it has got. Functions that
+        // copy the rows first (slice, spread) only report the copy.
+        const total = msg.rows.length;
+        const step = Math.max(1000, Math.ceil(total / 100));
+        let next = step;
+        let running = true;
+        const rows = new Proxy(msg.rows, {
+            get: function (target, key) {
+                if (running && typeof key === 'string') {
+                    const index = Number(key);
+                    if (index >= next) {
+                        next = (Math.floor(index / step) + 1) * step;
+                        post({ type: 'progress', phase: 'running', done: Math.min(index + 1, total), total: total });
+                    }
+                }
+                return target[key];
+            }
+        });
+
+        post({ type: 'progress', phase: 'running', done: 0, total: total });
+
+        // Additional input tables (joins / lookups) arrive as the third argument
+        let result;
+        try {
+            result = transformFn(msg.header, rows, msg.tables || {});
+        } finally {
+            running = false;
+        }
+
+        // The function may return { values, numberFormats } to set output formats
+        let numberFormats = null;
+        if (result && !Array.isArray(result) && Array.isArray(result.values)) {
+            numberFormats = sanitizeFormats(result.numberFormats);
+            result = result.values;
+        }
+
+        // Validate result shape
+        if (!Array.isArray(result) || result.length === 0) {
+            throw new Error('Transform function returned empty or non-array result.');
+        }
+        if (!Array.isArray(result[0])) {
+            throw new Error('Transform function did not return a 2D array.');
+        }
+
+        // Size guard: refuse results too large to hand back to Excel. This
+        // only runs once the function has returned; a function that
+        // allocates too much on its way there crashes the worker instead,
+        // which the pane reports as a crash.
+        let cells = 0;
+        for (let r = 0; r < result.length; r++) {
+            if (!Array.isArray(result[r])) {
+                throw new Error('Transform function returned a non-array row at index ' + r + '.');
+            }
+            cells += result[r].length;
+            if (cells > msg.maxCells) {
+                throw new Error('Transform function returned more than ' + msg.maxCells.toLocaleString() +
+                    ' cells. The result is too large to write back to Excel.');
+            }
+        }
+
+        // Stream the result back in chunks so the pane can report progress
+        for (let start = 0; start < result.length; start += msg.chunkRows) {
+            const rows = result.slice(start, start + msg.chunkRows);
+            post({ type: 'chunk', rows: rows });
+            post({ type: 'progress', phase: 'receiving', done: start + rows.length, total: result.length });
+        }
+        post({ type: 'done', numberFormats: numberFormats });
+    }
+
+    // Keep only { "<column name>": "<format string>" } entries
+    function sanitizeFormats(formats) {
+        if (!formats || typeof formats !== 'object') return null;
+        const clean = {};
+        Object.keys(formats).forEach(function (key) {
+            if (typeof formats[key] === 'string') clean[key] = formats[key];
+        });
+        return clean;
+    }
+
+    self.onmessage = function (e) {
+        if (!e.data || e.data.type !== 'run') return;
+        try {
+            run(e.data);
+        } catch (err) {
+            post({ type: 'error', message: (err && err.message) || String(err) });
+        }
+    };
+})();